@@ -1,9 +1,11 @@
 import { GUIDELINES } from './guidelines-data.js';
 import { CQ_DATA } from './cq-data.js';
+import { THESAURUS } from './thesaurus.js';
 
 const PUBMED_BASE = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
 const JSTAGE_BASE = 'https://api.jstage.jst.go.jp/searchapi/do';
 const S2_BASE = 'https://api.semanticscholar.org/graph/v1/paper/search';
+const S2_PAPER_BASE = 'https://api.semanticscholar.org/graph/v1/paper';
 const OPENALEX_BASE = 'https://api.openalex.org/works';
 const CINII_BASE = 'https://cir.nii.ac.jp/opensearch/all';
 const EPMC_BASE = 'https://www.ebi.ac.uk/europepmc/webservices/rest/search';
@@ -28,8 +30,8 @@ function corsHeaders(request) {
   const isAllowed = origin === 'null' || ALLOWED_ORIGINS.some(o => origin.startsWith(o));
   return {
     'Access-Control-Allow-Origin': isAllowed ? (origin === 'null' ? '*' : origin) : ALLOWED_ORIGINS[0],
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   };
 }
 
@@ -60,9 +62,11 @@ function checkRateLimit(ip) {
 }
 
 export default {
-  async fetch(request) {
+  async fetch(request, env = {}, ctx) {
     const url = new URL(request.url);
     const cors = corsHeaders(request);
+    configureEutils(env);
+    configureTranslation(env);
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: cors });
@@ -80,15 +84,33 @@ export default {
     try {
       switch (url.pathname) {
         case '/api/search':
-          return await handleSearch(url, cors);
+          return await handleCachedSearch(url, cors, env, ctx);
+        case '/api/search/stream':
+          return await handleSearchStream(url, cors, env, ctx);
+        case '/api/health':
+          return handleHealth(cors);
+        case '/api/feed':
+          return await handleFeed(url, cors, env, ctx);
+        case '/api/saved':
+          return await handleSavedSearches(request, url, cors, env);
+        case '/api/related':
+          return await handleRelated(url, cors);
+        case '/api/article':
+          return await handleArticle(url, cors);
         case '/api/mesh':
-          return await handleMeshSuggest(url, cors);
+          return await handleMesh(url, cors);
         case '/api/suggest':
           return handleSuggest(url, cors);
         case '/api/cq/list':
           return handleCQList(url, cors);
+        case '/api/cq/compare':
+          return await handleCQCompare(url, cors);
+        case '/api/guidelines':
+          return handleGuidelines(url, cors);
         case '/api/cq/evidence':
           return await handleCQEvidence(url, cors);
+        case '/api/thesaurus':
+          return handleThesaurus(url, cors);
         case '/api/translate':
           return await handleTranslate(url, cors);
         case '/api/ai/parse':
@@ -100,13 +122,19 @@ export default {
           try { return await handleAISummary(await request.json(), cors); }
           catch (e) { return json({ error: 'Invalid JSON body' }, 400, cors); }
         default:
-          return json({ error: 'Not found' }, 404, cors);
+          if (url.pathname.startsWith('/api/saved/')) return await handleSavedSearches(request, url, cors, env);
+          return routeCatalog(url, cors) || json({ error: 'Not found' }, 404, cors);
       }
     } catch (e) {
       console.error('Worker error:', e);
       return json({ error: 'Internal server error' }, 500, cors);
     }
   },
+
+  // Cron Trigger: re-run saved searches and queue new SRs/RCTs
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runSavedSearches(env));
+  },
 };
 
 function json(data, status = 200, cors = {}) {
@@ -122,81 +150,295 @@ function json(data, status = 200, cors = {}) {
   });
 }
 
-// ── MeSH Suggest ──────────────────────────────────────────────
-
-async function handleMeshSuggest(url, cors) {
-  const q = url.searchParams.get('q') || '';
-  if (q.length < 2) return json([], 200, cors);
+// ── MeSH ─────────────────────────────────────────────────────
+// The NLM lookup matches descriptor labels (partial input); E-utilities (db=mesh)
+// supplies the UI, tree numbers, scope note and entry terms. Cached per isolate.
+//   GET /api/mesh?q=<text>   { q, suggestions: [headings], descriptors: [...] }
+//   GET /api/mesh?ui=<D…>    one descriptor
+// With mesh=explode, /api/search maps each English query concept to a descriptor
+// (the thesaurus `mesh` UI, else an exact label match) and sends PubMed and Cochrane
+// heading[mh] OR entry terms[tiab]. The entry terms also join the synonym expansion
+// of every other source; the response lists the applied headings.
+
+const MESH_SUGGEST_LIMIT = 10;
+const MESH_ENTRY_TERMS_MAX = 8;
+const MESH_CACHE_MAX = 1000;
+const MESH_MODES = ['off', 'explode'];
+const MESH_SOURCES = ['pubmed', 'cochrane'];
+const meshCache = new Map(); // ui → descriptor | null, 'term:<normalized>' → ui | null
+
+function cacheMesh(key, value) {
+  meshCache.set(key, value);
+  if (meshCache.size > MESH_CACHE_MAX) meshCache.delete(meshCache.keys().next().value);
+}
 
+// match: 'contains' (suggestions) | 'exact' (mapping a query term) → [{ ui, label }]
+async function meshLookup(label, match, limit) {
   const res = await fetch(
-    `${MESH_LOOKUP}?label=${encodeURIComponent(q)}&match=contains&limit=10`,
+    `${MESH_LOOKUP}?label=${encodeURIComponent(label)}&match=${match}&limit=${limit}`,
     { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(5000) }
   );
-  if (!res.ok) return json([], 200, cors);
+  if (!res.ok) throw new Error(`MeSH lookup HTTP ${res.status}`);
   const data = await res.json();
+  return (Array.isArray(data) ? data : [])
+    .map(item => ({ ui: String(item.resource || '').split('/').pop(), label: item.label }))
+    .filter(d => /^D\d+$/.test(d.ui) && d.label);
+}
 
-  const suggestions = Array.isArray(data)
-    ? data.map(item => (typeof item === 'object' && item.label) ? item.label : String(item))
-    : [];
+function meshRecord(s) {
+  if (!/^D\d+$/.test(s?.ds_meshui || '')) return null;
+  const [heading = '', ...entryTerms] = s.ds_meshterms || [];
+  return {
+    ui: s.ds_meshui,
+    heading,
+    treeNumbers: [...new Set((s.ds_idxlinks || []).map(l => l.treenum).filter(Boolean))],
+    scopeNote: (s.ds_scopenote || '').trim(),
+    entryTerms,
+  };
+}
 
-  return json(suggestions, 200, cors);
+// → Map ui → { ui, heading, treeNumbers, scopeNote, entryTerms } (unknown UIs left out)
+async function meshDescriptors(uis) {
+  const missing = [...new Set(uis)].filter(ui => !meshCache.has(ui));
+  if (missing.length) {
+    const search = await eutils('esearch', {
+      db: 'mesh', term: missing.map(ui => `${ui}[mhui]`).join(' OR '), retmax: missing.length,
+    }, { label: 'MeSH' });
+    const ids = search?.esearchresult?.idlist || [];
+    const summary = ids.length ? await eutils('esummary', { db: 'mesh', id: ids.join(',') }, { label: 'MeSH' }) : null;
+    for (const id of summary?.result?.uids || []) {
+      const d = meshRecord(summary.result[id]);
+      if (d) cacheMesh(d.ui, d);
+    }
+    for (const ui of missing) if (!meshCache.has(ui)) cacheMesh(ui, null);
+  }
+  return new Map(uis.map(ui => [ui, meshCache.get(ui)]).filter(([, d]) => d));
 }
 
-// ── Suggest (CQ keywords + GL diseases) ─────────────────────
+// Query terms → Map term → descriptor. Japanese terms only map through the thesaurus;
+// "no exact match" is cached as null, a failed lookup is not (tried again next time).
+async function meshForTerms(terms) {
+  const uis = new Map();
+  await Promise.all([...new Set(terms)].map(async term => {
+    const key = `term:${normalizeTerm(term)}`;
+    if (!meshCache.has(key)) {
+      let ui = lookupConcepts(term).find(c => c.mesh)?.mesh || null;
+      if (!ui && !isJapanese(term)) {
+        const found = await meshLookup(term, 'exact', 1).catch(() => null);
+        if (!found) return;
+        ui = found[0]?.ui || null;
+      }
+      cacheMesh(key, ui);
+    }
+    if (meshCache.get(key)) uis.set(term, meshCache.get(key));
+  }));
+  const descriptors = await meshDescriptors([...uis.values()]);
+  return new Map([...uis].filter(([, ui]) => descriptors.has(ui)).map(([term, ui]) => [term, descriptors.get(ui)]));
+}
 
-function handleSuggest(url, cors) {
-  const q = (url.searchParams.get('q') || '').toLowerCase();
-  if (q.length < 1) return json([], 200, cors);
+// Entry terms usable as free text: inverted ("Osteoarthritides, Knee") and
+// qualified ("CVA (Cerebrovascular Accident)") forms are left out
+function meshSynonyms(d) {
+  return d.entryTerms.filter(t => !/[(),]/.test(t)).slice(0, MESH_ENTRY_TERMS_MAX);
+}
 
-  const seen = new Set();
-  const results = [];
+// Mapped terms → heading[mh] OR the term and its entry terms [tiab]
+function meshExplodeTree(tree, descriptors) {
+  return mapQueryTerms(tree, t => {
+    const d = !t.field && descriptors.get(t.value);
+    if (!d) return t;
+    const free = [...new Map([t.value, ...meshSynonyms(d)].map(s => [s.toLowerCase(), s])).values()];
+    return orNode([termNode(d.heading, true, 'mh'), ...free.map(s => termNode(s, /\s/.test(s), 'tiab'))]);
+  });
+}
 
-  // Search CQ keywords
-  for (const cq of CQ_DATA) {
-    for (const kw of cq.kw) {
-      const kwL = kw.toLowerCase();
-      if (kwL.includes(q) && !seen.has(kwL)) {
-        seen.add(kwL);
-        results.push(kw);
-      }
-    }
+async function handleMesh(url, cors) {
+  const ui = url.searchParams.get('ui');
+  if (ui) {
+    if (!/^D\d+$/.test(ui)) return json({ error: 'ui must be a MeSH descriptor UI (D followed by digits)' }, 400, cors);
+    const d = (await meshDescriptors([ui])).get(ui);
+    return d ? json(d, 200, cors) : json({ error: 'Descriptor not found' }, 404, cors);
   }
+  const q = url.searchParams.get('q') || '';
+  if (q.length < 2) return json({ q, suggestions: [], descriptors: [] }, 200, cors);
 
-  // Search GL disease names
-  for (const gl of GUIDELINES) {
-    for (const d of gl.diseases) {
-      const dL = d.toLowerCase();
-      if (dL.includes(q) && !seen.has(dL)) {
-        seen.add(dL);
-        results.push(d);
-      }
-    }
+  const matches = await meshLookup(q, 'contains', MESH_SUGGEST_LIMIT).catch(() => []);
+  // Labels still work as suggestions when E-utilities is unavailable
+  const details = await meshDescriptors(matches.map(m => m.ui)).catch(() => new Map());
+  return json({
+    q,
+    suggestions: matches.map(m => m.label),
+    descriptors: matches.map(m => details.get(m.ui) ||
+      { ui: m.ui, heading: m.label, treeNumbers: [], scopeNote: '', entryTerms: [] }),
+  }, 200, cors);
+}
+
+// ── Suggest (CQ keywords + GL diseases + thesaurus) ──────────
+
+// Input is normalized (kana, width, variant kanji; readings find their term).
+// Unspaced Japanese that matches nothing as a whole (膝関節症の運動) is completed
+// on its last segment, keeping the text before it: 膝関節症の運動療法. Failing that,
+// terms close to the whole input are offered (parkinsons → Parkinson's disease) with fuzzy: true.
+function handleSuggest(url, cors) {
+  const raw = url.searchParams.get('q') || '';
+  const q = normalizeTerm(raw).trim();
+  if (q.length < 1) return json({ q: raw, segmentation: [], suggestions: [], fuzzy: false }, 200, cors);
+
+  let prefix = '';
+  let needle = q;
+  let hits = suggestTerms(q);
+  const segments = isJapanese(raw) ? segmentQuery(raw) : [];
+  if (!hits.length && segments.length > 1) {
+    const last = segments[segments.length - 1].text;
+    prefix = raw.slice(0, raw.lastIndexOf(last));
+    needle = normalizeTerm(last);
+    hits = suggestTerms(needle);
   }
 
-  // Sort: exact prefix match first, then by length
-  results.sort((a, b) => {
-    const aStart = a.toLowerCase().startsWith(q) ? 0 : 1;
-    const bStart = b.toLowerCase().startsWith(q) ? 0 : 1;
+  // Sort: exact prefix match first, then by length, then by how many CQs/GLs use the term
+  let results = hits.sort((a, b) => {
+    const aStart = a.key.startsWith(needle) ? 0 : 1;
+    const bStart = b.key.startsWith(needle) ? 0 : 1;
     if (aStart !== bStart) return aStart - bStart;
-    return a.length - b.length;
+    return a.term.length - b.term.length || b.count - a.count;
   });
+  const fuzzy = !results.length;
+  if (fuzzy) {
+    prefix = '';
+    results = fuzzyTerms(q);
+  }
+
+  return json({
+    q: raw,
+    segmentation: segments.length > 1 ? [{ input: raw, segments }] : [],
+    suggestions: [...new Set(results.map(v => prefix + v.term))].slice(0, SUGGEST_LIMIT),
+    fuzzy,
+  }, 200, cors);
+}
+
+// ── Recommendation Strength & Certainty ──────────────────────
+// CQ_DATA mixes GRADE wording, NICE (offer / consider / do not), Minds grades
+// (A–D, 推奨度1/2, "2C"), AAOS (Strong / Moderate / Limited / Consensus) and free
+// text. `rec` is mapped onto a direction (for | against | neither) and a strength
+// (strong | conditional | consensus | none); `ev` — or a grade inside `rec` when
+// `ev` is "-" — onto GRADE certainty (high | moderate | low | very_low).
+// Wording that fits none of the patterns stays null; the original is always kept.
+
+const REC_DIRECTIONS = ['for', 'against', 'neither'];
+const REC_STRENGTHS = ['strong', 'conditional', 'consensus', 'none'];
+const CERTAINTIES = ['high', 'moderate', 'low', 'very_low'];
+const CQ_SORTS = ['strength', 'certainty'];
+
+// [pattern, direction, strength], tested in order on NFKC lower-cased `rec`
+const REC_PATTERNS = [
+  [/^(推奨なし|neither|insufficient evidence|エビデンス不十分)$|推奨の判断には至らなかった/, 'neither', 'none'],
+  [/^consensus against$/, 'against', 'consensus'],
+  [/^(conditional against|moderate against|limited against|弱い非推奨|条件付き非推奨|条件付き推奨しない|反対する(条件付き|弱い)推奨)$|弱く推奨する\(非実施\)/, 'against', 'conditional'],
+  [/^(strong against|against|do not( recommend| offer)?|非推奨|原則禁止)$|推奨しない|推奨されない|行わないことを推奨|行わない$|は不要$/, 'against', 'strong'],
+  [/consensus|コンセンサス|^overarching( principle)?$/, 'for', 'consensus'],
+  [/^(conditional|consider|weak|limited|moderate|提案|条件付き推奨|条件付き提案|双方条件付き推奨|推奨度2|推奨\(2\))$|弱い推奨|弱く推奨|提案する|条件付きで|を検討/, 'for', 'conditional'],
+  [/^(strong|offer|recommend|core|推奨|推奨度1|推奨\(1\)|強い推奨)$|強く推奨|強い推奨|推奨する|を推奨$/, 'for', 'strong'],
+];
+
+// Minds 2007 grades: A/B recommend, C1 may be considered, C2 not recommended, D recommend against
+const MINDS_GRADES = {
+  a: ['for', 'strong', 'high'],
+  b: ['for', 'strong', 'moderate'],
+  c: ['for', 'conditional', 'low'],
+  c1: ['for', 'conditional', 'low'],
+  c2: ['against', 'conditional', 'very_low'],
+  d: ['against', 'strong', 'low'],
+};
+const CERTAINTY_BY_LETTER = { a: 'high', b: 'moderate', c: 'low', d: 'very_low' };
+
+const normalizedRecCache = new Map();
+
+// → { direction, strength, certainty } (each may be null)
+function normalizeRecommendation(rec, ev) {
+  const cacheKey = `${rec}\u0000${ev}`;
+  const cached = normalizedRecCache.get(cacheKey);
+  if (cached) return cached;
+
+  const text = String(rec || '').normalize('NFKC').trim().toLowerCase();
+  let direction = null;
+  let strength = null;
+  let certainty = CERTAINTY_BY_LETTER[String(ev || '').toLowerCase()] || null;
+
+  // "A", "グレードC1", "A1/A2/B", "B-C1", 【推奨グレードB】: the first grade counts
+  const grade = text.match(/^(?:推奨)?(?:グレード)?([a-d])([12])?(?:[/-].*)?$/) || text.match(/推奨グレード\s*([a-d])([12])?/);
+  // GRADE/Minds 2014 "1A", "(2C)": strength digit + certainty letter
+  const graded = text.match(/(?:^|\()([12])([a-d])(?:\)|$)/);
+  if (grade) {
+    const key = grade[1] === 'c' && grade[2] ? `c${grade[2]}` : grade[1];
+    [direction, strength] = MINDS_GRADES[key];
+    certainty ||= MINDS_GRADES[key][2];
+  } else {
+    const hit = REC_PATTERNS.find(([re]) => re.test(text));
+    if (hit) [, direction, strength] = hit;
+    if (graded) certainty ||= CERTAINTY_BY_LETTER[graded[2]];
+  }
+  const out = { direction, strength, certainty };
+  normalizedRecCache.set(cacheKey, out);
+  return out;
+}
+
+// strength / direction / certainty (comma lists) and sort, optionally prefixed (cqStrength...)
+function parseCQFilters(params, prefix = '') {
+  const name = n => prefix ? prefix + n[0].toUpperCase() + n.slice(1) : n;
+  const filters = {};
+  for (const [key, allowed] of [['strength', REC_STRENGTHS], ['direction', REC_DIRECTIONS], ['certainty', CERTAINTIES]]) {
+    const value = params.get(name(key));
+    if (!value) continue;
+    const list = [...new Set(value.split(',').map(s => s.trim()).filter(Boolean))];
+    if (!list.length || list.some(v => !allowed.includes(v))) {
+      return { error: `${name(key)} must be a comma-separated list of: ${allowed.join(', ')}` };
+    }
+    filters[key] = list;
+  }
+  const sort = params.get(name('sort')) || '';
+  if (sort && !CQ_SORTS.includes(sort)) return { error: `${name('sort')} must be one of: ${CQ_SORTS.join(', ')}` };
+  return { filters: Object.keys(filters).length ? filters : null, sort };
+}
 
-  return json(results.slice(0, 15), 200, cors);
+function rankOf(list, value) {
+  const i = list.indexOf(value);
+  return i < 0 ? list.length : i;
+}
+
+// cqs carry `normalized`; the sort is stable, so ties keep the incoming (relevance) order
+function applyCQFilters(cqs, { filters, sort }) {
+  let out = cqs;
+  if (filters) {
+    out = out.filter(cq => Object.entries(filters).every(([key, list]) => list.includes(cq.normalized[key])));
+  }
+  if (sort) {
+    const keys = sort === 'strength' ? [['strength', REC_STRENGTHS], ['certainty', CERTAINTIES]]
+      : [['certainty', CERTAINTIES], ['strength', REC_STRENGTHS]];
+    out = [...out].sort((a, b) => {
+      for (const [key, list] of keys) {
+        const d = rankOf(list, a.normalized[key]) - rankOf(list, b.normalized[key]);
+        if (d) return d;
+      }
+      return 0;
+    });
+  }
+  return out;
 }
 
 // ── CQ List (browse all) ────────────────────────────────────
 
 function handleCQList(url, cors) {
   const cat = url.searchParams.get('cat') || '';
+  const cqFilters = parseCQFilters(url.searchParams);
+  if (cqFilters.error) return json({ error: cqFilters.error }, 400, cors);
 
-  const glMap = new Map();
-  for (const gl of GUIDELINES) glMap.set(gl.id, gl);
+  const { byId } = getCatalog();
 
   // Group CQs by guideline
   const groups = {};
   for (const cq of CQ_DATA) {
     if (!groups[cq.gid]) {
-      const gl = glMap.get(cq.gid);
+      const gl = byId.get(cq.gid);
       groups[cq.gid] = {
         gid: cq.gid,
         title: gl ? gl.title : cq.gid,
@@ -208,37 +450,18 @@ function handleCQList(url, cors) {
         cqs: [],
       };
     }
-    groups[cq.gid].cqs.push({
-      cq: cq.cq,
-      question: cq.q,
-      type: cq.type,
-      recommendation: cq.rec,
-      evidenceLevel: cq.ev,
-      page: cq.page || null,
-      kw: cq.kw || [],
-    });
+    groups[cq.gid].cqs.push(cqRecord(cq));
   }
 
   let result = Object.values(groups);
+  if (cqFilters.filters || cqFilters.sort) {
+    result = result
+      .map(g => ({ ...g, cqs: applyCQFilters(g.cqs, cqFilters) }))
+      .filter(g => g.cqs.length);
+  }
 
   // Filter by category if specified (map frontend values to data categories)
-  if (cat) {
-    const CAT_MAP = {
-      'ortho': ['整形', 'SPORT', '骨代謝'],
-      'neuro': ['神経', '高次脳', '脳卒中', '認知症', '小児'],
-      'cardio': ['循環器'],
-      'resp':  ['呼吸器', '呼吸', '集中治療'],
-      'onco':  ['がんサバイバーシップ', 'がん支持', '腫瘍', 'NCCN', 'リンパ', '緩和'],
-      'ent':   ['耳鼻', '嚥下', '歯科リハ'],
-      'general': ['疼痛', '精神', '老年', '在宅', '栄養', '看護', '褥瘡', '排尿', '排泄', '睡眠', '糖尿病', '感染症', '腎臓', '転倒予防', '福祉用具', 'リウマチ', 'アレルギー', '外傷', 'リハ医学'],
-    };
-    const mapped = CAT_MAP[cat];
-    if (mapped) {
-      result = result.filter(g => mapped.includes(g.cat));
-    } else {
-      result = result.filter(g => g.cat === cat);
-    }
-  }
+  if (cat) result = result.filter(g => matchesCategory(g, cat));
 
   return json({
     totalGuidelines: result.length,
@@ -247,15 +470,338 @@ function handleCQList(url, cors) {
   }, 200, cors);
 }
 
-// ── CQ Evidence (on-demand PubMed SR/RCT search) ─────────────
+// ── Guideline Catalog & CQ Detail ────────────────────────────
+//   GET /api/guidelines?country=&cat=&year=|yearFrom=&yearTo=&disease=
+//       counts.byCategory ignores the cat filter so every category can show its count
+//   GET /api/guidelines/:id     metadata + full CQ list
+//   GET /api/cq/:gid/:cq        one CQ with prev/next neighbors and its guideline
+
+let catalogIndex = null;
+
+function getCatalog() {
+  if (catalogIndex) return catalogIndex;
+  const byId = new Map(GUIDELINES.map(gl => [gl.id, gl]));
+  const cqsByGid = new Map();
+  for (const cq of CQ_DATA) {
+    if (!cqsByGid.has(cq.gid)) cqsByGid.set(cq.gid, []);
+    cqsByGid.get(cq.gid).push(cq);
+  }
+  catalogIndex = { byId, cqsByGid };
+  return catalogIndex;
+}
+
+function guidelineRecord(gl) {
+  return {
+    id: gl.id,
+    title: gl.title,
+    titleEn: gl.titleEn || '',
+    org: gl.org,
+    year: gl.year || null,
+    url: gl.url,
+    cat: gl.cat,
+    country: gl.country || 'JP',
+    diseases: gl.diseases,
+    cqCount: getCatalog().cqsByGid.get(gl.id)?.length || 0,
+  };
+}
+
+function cqRecord(cq) {
+  return {
+    cq: cq.cq,
+    question: cq.q,
+    type: cq.type,
+    recommendation: cq.rec,
+    evidenceLevel: cq.ev,
+    normalized: normalizeRecommendation(cq.rec, cq.ev),
+    page: cq.page || null,
+    kw: cq.kw || [],
+  };
+}
+
+// Frontend category (ortho, neuro...) → data categories; anything else matches gl.cat exactly
+const CAT_GROUPS = {
+  'ortho': ['整形', 'SPORT', '骨代謝'],
+  'neuro': ['神経', '高次脳', '脳卒中', '認知症', '小児'],
+  'cardio': ['循環器'],
+  'resp':  ['呼吸器', '呼吸', '集中治療'],
+  'onco':  ['がんサバイバーシップ', 'がん支持', '腫瘍', 'NCCN', 'リンパ', '緩和'],
+  'ent':   ['耳鼻', '嚥下', '歯科リハ'],
+  'general': ['疼痛', '精神', '老年', '在宅', '栄養', '看護', '褥瘡', '排尿', '排泄', '睡眠', '糖尿病', '感染症', '腎臓', '転倒予防', '福祉用具', 'リウマチ', 'アレルギー', '外傷', 'リハ医学'],
+};
+
+function matchesCategory(gl, cat) {
+  const mapped = CAT_GROUPS[cat];
+  return mapped ? mapped.includes(gl.cat) : gl.cat === cat;
+}
+
+// "US/EU" counts for both; INT and INTL are the same region
+function matchesCountry(gl, country) {
+  const want = country.toUpperCase();
+  const have = (gl.country || 'JP').toUpperCase().split('/');
+  if (want === 'INT' || want === 'INTL') return have.includes('INT') || have.includes('INTL');
+  return have.includes(want);
+}
+
+function handleGuidelines(url, cors) {
+  const params = url.searchParams;
+  const country = params.get('country') || '';
+  const cat = params.get('cat') || '';
+  const disease = normalizeTerm(params.get('disease')).trim();
+  // A reading (のうそっちゅう) also matches its thesaurus label
+  const diseaseKeys = disease ? [disease, ...lookupConcepts(disease).map(c => normalizeTerm(c.ja))] : [];
+  const years = {};
+  for (const name of ['year', 'yearFrom', 'yearTo']) {
+    const v = params.get(name);
+    if (!v) continue;
+    const y = Number(v);
+    if (!Number.isInteger(y) || y < 1900 || y > 2100) return json({ error: `${name} must be a year (1900-2100)` }, 400, cors);
+    years[name] = y;
+  }
+
+  const base = GUIDELINES.filter(gl =>
+    (!country || matchesCountry(gl, country)) &&
+    (!years.year || gl.year === years.year) &&
+    (!years.yearFrom || (gl.year || 0) >= years.yearFrom) &&
+    (!years.yearTo || (gl.year || 0) <= years.yearTo) &&
+    (!disease || gl.diseases.some(d => diseaseKeys.some(k => normalizeTerm(d).includes(k)))));
+
+  const byCategory = {};
+  for (const gl of base) byCategory[gl.cat] = (byCategory[gl.cat] || 0) + 1;
+  const guidelines = (cat ? base.filter(gl => matchesCategory(gl, cat)) : base)
+    .map(guidelineRecord)
+    .sort((a, b) => (b.year || 0) - (a.year || 0) || a.title.localeCompare(b.title));
+
+  return json({
+    total: guidelines.length,
+    totalCQs: guidelines.reduce((s, g) => s + g.cqCount, 0),
+    counts: { byCategory },
+    guidelines,
+  }, 200, cors);
+}
+
+function handleGuideline(id, cors) {
+  const gl = getCatalog().byId.get(id);
+  if (!gl) return json({ error: 'Guideline not found' }, 404, cors);
+  const cqs = getCatalog().cqsByGid.get(id) || [];
+  return json({ ...guidelineRecord(gl), cqs: cqs.map(cqRecord) }, 200, cors);
+}
+
+function handleCQDetail(gid, cqId, cors) {
+  const { byId, cqsByGid } = getCatalog();
+  const cqs = cqsByGid.get(gid) || [];
+  const index = cqs.findIndex(c => c.cq === cqId);
+  if (index < 0) return json({ error: 'CQ not found' }, 404, cors);
+  const neighbor = cq => cq ? { cq: cq.cq, question: cq.q } : null;
+  const gl = byId.get(gid);
+  return json({
+    guideline: gl ? guidelineRecord(gl) : { id: gid },
+    ...cqRecord(cqs[index]),
+    position: index + 1,
+    total: cqs.length,
+    prev: neighbor(cqs[index - 1]),
+    next: neighbor(cqs[index + 1]),
+  }, 200, cors);
+}
+
+// /api/guidelines/:id and /api/cq/:gid/:cq (path segments are URI-encoded)
+function routeCatalog(url, cors) {
+  let segments;
+  try {
+    segments = url.pathname.split('/').slice(2).map(decodeURIComponent);
+  } catch {
+    return json({ error: 'Malformed path' }, 400, cors);
+  }
+  if (segments[0] === 'guidelines' && segments.length === 2) return handleGuideline(segments[1], cors);
+  if (segments[0] === 'cq' && segments.length === 3) return handleCQDetail(segments[1], segments[2], cors);
+  return null;
+}
+
+// ── Cross-Country Comparison ─────────────────────────────────
+//   GET /api/cq/compare?q=<topic>&intervention=&country=JP,UK
+// One row per guideline: its best-matching CQ (runner-ups in `others`), rows of a
+// country kept together. The query is expanded and translated both ways so JP and
+// English-language guidelines are matched alike. `concordance` compares the
+// normalized directions: concordant | partial (same direction, strengths differ) |
+// discordant (for vs against) | insufficient (fewer than two directional rows).
+// With `intervention`, only CQs whose question or a keyword contains it whole (or
+// its translation or a synonym from its thesaurus concept) make rows, so the
+// concordance is taken over CQs about the same intervention.
+
+const COMPARE_MAX_GUIDELINES = 30;
+const COMPARE_MIN_RELATIVE_SCORE = 0.35; // of the top hit; loosely related CQs drop out
+const COMPARE_OTHERS_MAX = 3;
+
+// Search terms for one field: original + synonyms, and the translation + its synonyms
+async function compareTerms(text) {
+  const tree = parseQuery(text);
+  if (!tree) return null;
+  const parts = queryTerms(tree);
+  const ja = isJapanese(parts.join(' '));
+  const translated = await translateQueryTree(tree, ja ? 'ja' : 'en', ja ? 'en' : 'ja');
+  return {
+    parts: expandSynonyms(parts),
+    translated: translated ? expandSynonyms(queryTerms(translated)) : [],
+  };
+}
+
+// The intervention as whole phrases: itself, its translation and their concepts' terms
+async function interventionPhrases(text) {
+  const ja = isJapanese(text);
+  const translated = await translate(text, ja ? 'ja' : 'en', ja ? 'en' : 'ja').catch(() => null);
+  return [...new Set([text, translated].filter(Boolean)
+    .flatMap(t => [t, ...lookupConcepts(t).flatMap(conceptTerms)])
+    .map(normalizeTerm))];
+}
+
+function mentionsIntervention(cq, phrases) {
+  const texts = [cq.question, ...cq.keywords].map(normalizeTerm);
+  return phrases.some(p => texts.some(t => t.includes(p)));
+}
+
+function concordanceOf(rows) {
+  const out = { status: 'insufficient', for: [], against: [], neither: [], unclassified: [] };
+  for (const row of rows) (out[row.normalized.direction] || out.unclassified).push(row.gid);
+  const directional = rows.filter(r => r.normalized.direction === 'for' || r.normalized.direction === 'against');
+  if (out.for.length && out.against.length) out.status = 'discordant';
+  else if (directional.length >= 2) {
+    out.status = new Set(directional.map(r => r.normalized.strength)).size > 1 ? 'partial' : 'concordant';
+  }
+  return out;
+}
+
+async function handleCQCompare(url, cors) {
+  const q = (url.searchParams.get('q') || '').trim();
+  const intervention = (url.searchParams.get('intervention') || '').trim();
+  const countries = (url.searchParams.get('country') || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!q) return json({ error: 'q (topic or intervention) required' }, 400, cors);
+
+  let topic, narrow, phrases;
+  try {
+    [topic, narrow, phrases] = await Promise.all([
+      compareTerms(q),
+      intervention && compareTerms(intervention),
+      intervention && interventionPhrases(intervention),
+    ]);
+  } catch (e) {
+    if (e instanceof QueryParseError) return json({ error: `Invalid query: ${e.message}` }, 400, cors);
+    throw e;
+  }
+  if (!topic) return json({ error: 'q (topic or intervention) required' }, 400, cors);
+
+  const cqKey = cq => `${cq.gid}\u0000${cq.cq}`;
+  let hits = searchClinicalQuestions(topic.parts, topic.translated);
+  if (narrow) {
+    // Both must match, the intervention as a whole phrase; its score is added to the topic's
+    const narrowScores = new Map(searchClinicalQuestions(narrow.parts, narrow.translated).map(cq => [cqKey(cq), cq.score]));
+    hits = hits
+      .filter(cq => narrowScores.has(cqKey(cq)) && mentionsIntervention(cq, phrases))
+      .map(cq => ({ ...cq, score: Math.round((cq.score + narrowScores.get(cqKey(cq))) * 100) / 100 }));
+  }
+  const { byId } = getCatalog();
+  if (countries.length) hits = hits.filter(cq => countries.some(c => matchesCountry(byId.get(cq.gid) || {}, c)));
+  hits.sort((a, b) => b.score - a.score);
+  const minScore = (hits[0]?.score || 0) * COMPARE_MIN_RELATIVE_SCORE;
+
+  // Best CQ per guideline
+  const rowsByGid = new Map();
+  for (const cq of hits) {
+    if (cq.score < minScore) break;
+    const row = rowsByGid.get(cq.gid);
+    if (row) {
+      if (row.others.length < COMPARE_OTHERS_MAX) {
+        row.others.push({
+          cq: cq.cq, question: cq.question, recommendation: cq.recommendation,
+          evidenceLevel: cq.evidenceLevel, normalized: cq.normalized, page: cq.page, score: cq.score,
+        });
+      }
+      continue;
+    }
+    if (rowsByGid.size >= COMPARE_MAX_GUIDELINES) continue;
+    const gl = byId.get(cq.gid);
+    rowsByGid.set(cq.gid, {
+      gid: cq.gid,
+      guidelineTitle: cq.guidelineTitle,
+      org: cq.guidelineOrg,
+      country: cq.country,
+      year: gl?.year || null,
+      url: cq.guidelineUrl,
+      cq: cq.cq,
+      question: cq.question,
+      type: cq.type,
+      recommendation: cq.recommendation,
+      evidenceLevel: cq.evidenceLevel,
+      normalized: cq.normalized,
+      page: cq.page,
+      score: cq.score,
+      matched: cq.matched,
+      others: [],
+    });
+  }
+
+  // Countries in order of their best row; rows of one country stay adjacent
+  const countryOrder = [...new Set([...rowsByGid.values()].map(r => r.country))];
+  const rows = [...rowsByGid.values()]
+    .sort((a, b) => countryOrder.indexOf(a.country) - countryOrder.indexOf(b.country) || b.score - a.score);
+
+  const byCountry = {};
+  for (const row of rows) {
+    const c = byCountry[row.country] ||= { for: 0, against: 0, neither: 0, unclassified: 0 };
+    c[row.normalized.direction || 'unclassified']++;
+  }
+
+  return json({
+    query: { q, intervention, terms: topic.parts, translated: topic.translated },
+    total: rows.length,
+    concordance: concordanceOf(rows),
+    byCountry,
+    rows,
+  }, 200, cors);
+}
+
+// ── CQ Evidence (on-demand SR/RCT search) ────────────────────
+//   GET /api/cq/evidence?gid=&cq=   (or q= [&kw=] for free text)
+//       &since=<year>  first year counted as newer (default: the guideline's year,
+//                      as its literature search closed before publication)
+//       &scope=newer   only results from `since` on (default: all, each flagged `newer`)
+// PubMed, Europe PMC, Cochrane and OpenAlex, merged through deduplicateAndMerge.
+// `outdated.potentially` is set when SRs/MAs or RCTs newer than the guideline exist.
+
+const CQ_EVIDENCE_SOURCES = ['pubmed', 'epmc', 'cochrane', 'openalex'];
+const CQ_EVIDENCE_LEVELS = ['sr_ma', 'rct'];
+const CQ_EVIDENCE_LIMIT = 30;
+const CQ_EVIDENCE_SCOPES = ['all', 'newer'];
+// Sources that cannot filter by publication type get these in the query
+const CQ_DESIGN_TERMS = ['systematic review', 'meta-analysis', 'randomized controlled trial'];
 
 async function handleCQEvidence(url, cors) {
-  const q = url.searchParams.get('q') || '';
-  const kw = url.searchParams.get('kw') || ''; // pre-attached English keywords from CQ data
-  if (!q) return json({ error: 'q (CQ question text) required' }, 400, cors);
+  const params = url.searchParams;
+  const gid = params.get('gid') || '';
+  const cqId = params.get('cq') || '';
+  const cqRow = gid && cqId ? (getCatalog().cqsByGid.get(gid) || []).find(c => c.cq === cqId) : null;
+  if ((gid || cqId) && !cqRow) return json({ error: 'CQ not found (gid and cq are both required)' }, 404, cors);
+  const guidelineYear = cqRow ? getCatalog().byId.get(gid)?.year || null : null;
+
+  const q = params.get('q') || cqRow?.q || '';
+  // pre-attached English keywords from CQ data
+  const kw = params.get('kw') ?? (cqRow?.kw || []).filter(k => /^[A-Za-z\s-]+$/.test(k)).join(',');
+  if (!q) return json({ error: 'q (CQ question text) or gid and cq required' }, 400, cors);
+
+  let since = guidelineYear;
+  if (params.get('since')) {
+    since = Number(params.get('since'));
+    if (!Number.isInteger(since) || since < 1900 || since > 2100) {
+      return json({ error: 'since must be a year (1900-2100)' }, 400, cors);
+    }
+  }
+  const scope = params.get('scope') || 'all';
+  if (!CQ_EVIDENCE_SCOPES.includes(scope)) {
+    return json({ error: `scope must be one of: ${CQ_EVIDENCE_SCOPES.join(', ')}` }, 400, cors);
+  }
+  if (scope === 'newer' && !since) return json({ error: 'scope=newer needs since or a CQ with a guideline year' }, 400, cors);
 
   // Extract meaningful keywords from CQ text
-  let keywords = extractCQKeywords(q);
+  const segmentation = [];
+  let keywords = extractCQKeywords(q, segmentation);
 
   // If English keywords are provided (from CQ kw field), prefer those for PubMed
   if (kw) {
@@ -265,28 +811,8 @@ async function handleCQEvidence(url, cors) {
     // For Japanese keywords, translate to English for PubMed
     const isJa = keywords.some(k => /[\u3000-\u9FFF]/.test(k));
     if (isJa) {
-      // Step 1: Try SYN_MAP and jaToEn dictionary (fast, no API call)
-      const engTerms = [];
-      for (const k of keywords) {
-        const syns = SYN_MAP.get(k.toLowerCase());
-        if (syns) {
-          for (const s of syns) {
-            if (/^[A-Za-z]/.test(s) && s.length > 1 && !engTerms.includes(s)) engTerms.push(s);
-          }
-        }
-      }
-      const jaToEn = {
-        '運動療法': 'exercise therapy', '理学療法': 'physical therapy', '作業療法': 'occupational therapy',
-        '言語療法': 'speech therapy', '薬物療法': 'pharmacotherapy', '手術': 'surgery',
-        '放射線': 'radiation', '化学療法': 'chemotherapy', '治療': 'treatment',
-        '装具': 'orthosis', '義肢': 'prosthesis', '電気刺激': 'electrical stimulation',
-        '運動': 'exercise', '歩行': 'gait', '筋力': 'muscle strength',
-        '高齢者': 'elderly', '転倒': 'falls', '予防': 'prevention',
-        '疼痛': 'pain', '痙縮': 'spasticity', '栄養': 'nutrition',
-      };
-      for (const k of keywords) {
-        if (jaToEn[k] && !engTerms.includes(jaToEn[k])) engTerms.push(jaToEn[k]);
-      }
+      // Step 1: thesaurus preferred labels (fast, no API call)
+      const engTerms = [...new Set(keywords.map(k => thesaurusLabel(k, 'en')).filter(Boolean))];
       if (engTerms.length >= 2) {
         keywords = engTerms.slice(0, 4);
       } else {
@@ -298,85 +824,78 @@ async function handleCQEvidence(url, cors) {
           .map(t => t.status === 'fulfilled' && t.value ? t.value : null)
           .filter(Boolean);
         if (autoTranslated.length > 0) {
-          keywords = [...engTerms, ...autoTranslated].slice(0, 4);
+          keywords = [...new Set([...engTerms, ...autoTranslated])].slice(0, 4);
         }
       }
     }
   }
 
-  if (!keywords.length) return json({ results: [], keywords: [] }, 200, cors);
-
-  // Build PubMed query: keywords AND (SR OR MA OR RCT filter)
-  const diseaseQuery = keywords.join(' AND ');
-  const typeFilter = '(systematic review[pt] OR meta-analysis[pt] OR randomized controlled trial[pt])';
-  const fullQuery = `(${diseaseQuery}) AND ${typeFilter}`;
-
-  const searchUrl =
-    `${PUBMED_BASE}/esearch.fcgi?db=pubmed` +
-    `&term=${encodeURIComponent(fullQuery)}` +
-    `&retmax=15&retmode=json&sort=relevance` +
-    `&tool=evidence-navigator&email=evidence-navigator@example.com`;
-
-  try {
-    const searchRes = await fetch(searchUrl, { signal: AbortSignal.timeout(8000) });
-    const searchData = await searchRes.json();
-    const ids = searchData?.esearchresult?.idlist || [];
-    if (!ids.length) return json({ results: [], keywords, query: fullQuery });
-
-    const sumUrl =
-      `${PUBMED_BASE}/esummary.fcgi?db=pubmed` +
-      `&id=${ids.join(',')}` +
-      `&retmode=json` +
-      `&tool=evidence-navigator&email=evidence-navigator@example.com`;
-
-    const sumRes = await fetch(sumUrl, { signal: AbortSignal.timeout(8000) });
-    const sumData = await sumRes.json();
-
-    const articles = [];
-    for (const id of ids) {
-      const a = sumData?.result?.[id];
-      if (!a || !a.title) continue;
-      const pubTypes = a.pubtype || [];
-      articles.push({
-        pmid: id,
-        title: strip(a.title),
-        authors: (a.authors || []).map(x => x.name).slice(0, 3),
-        journal: a.source || '',
-        year: yearOf(a.pubdate || ''),
-        type: classifyPubType(pubTypes),
-        url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
-      });
-    }
-
-    return json({ results: articles, keywords, query: fullQuery }, 200, cors);
-  } catch (e) {
-    return json({ results: [], keywords }, 200, cors);
-  }
+  if (!keywords.length) return json({ results: [], keywords: [], segmentation, since, guidelineYear, outdated: null }, 200, cors);
+
+  const filters = { levels: CQ_EVIDENCE_LEVELS, ...(scope === 'newer' && { yearFrom: since }) };
+  const tree = andNode(keywords.map(k => termNode(k, /\s/.test(k))));
+  const designTree = andNode([tree, orNode(CQ_DESIGN_TERMS.map(t => termNode(t, true)))]);
+  const errors = [];
+  const batches = await Promise.all(CQ_EVIDENCE_SOURCES.map(key =>
+    runSource(key, SOURCES[key].levels || sourceHonorsFilter(SOURCES[key], 'levels', filters) ? tree : designTree,
+      { filters, limit: CQ_EVIDENCE_LIMIT })
+      .catch(e => {
+        errors.push(`${SOURCES[key].name}: ${e.message}`);
+        return [];
+      })));
+
+  const merged = deduplicateAndMerge(batches.flat(), CQ_EVIDENCE_SOURCES).results;
+  const results = applyResultFilters(merged, filters)
+    .map(r => ({
+      ...(r.ids.pmid && { pmid: r.ids.pmid }),
+      title: r.title,
+      authors: (r.authors || []).slice(0, 3),
+      journal: r.journal || '',
+      year: r.year || null,
+      type: r.evidenceLevel,
+      url: r.url,
+      foundIn: r.foundIn,
+      newer: !!(since && r.year && r.year >= since),
+      ...Object.fromEntries(CORRECTION_FLAGS.filter(f => r[f]).map(f => [f, r[f]])),
+    }))
+    .sort((a, b) => correctionRank(a) - correctionRank(b) || (b.year || 0) - (a.year || 0))
+    .slice(0, CQ_EVIDENCE_LIMIT);
+
+  // Retracted articles and correction notices do not count as new evidence
+  const fresh = results.filter(r => r.newer && !r.retracted && !r.correctionNotice);
+  const newerSR = fresh.filter(r => r.type === 'sr_ma').length;
+  const newerRCT = fresh.filter(r => r.type === 'rct').length;
+  return json({
+    results,
+    keywords,
+    segmentation,
+    query: pubmedFilterTerm(renderQuery(tree, 'pubmed'), filters, true),
+    since,
+    guidelineYear,
+    scope,
+    outdated: since ? { potentially: newerSR + newerRCT > 0, newerSR, newerRCT } : null,
+    errors,
+  }, 200, cors);
 }
 
-function extractCQKeywords(q) {
+// Japanese segmentation is appended to `log` when given
+function extractCQKeywords(q, log = null) {
   // Remove CQ numbering
   let text = q.replace(/^(CQ\s*\d+[\s\-:：]*|Q\d+[\s\-:：]*)/i, '');
 
-  // For Japanese text: extract medical/technical terms using regex patterns
-  const isJa = /[\u3000-\u9FFF]/.test(text);
-  if (isJa) {
-    // Extract katakana words (medical terms like リハビリテーション, パーキンソン)
-    const katakana = text.match(/[\u30A0-\u30FF\u31F0-\u31FF]{2,}/g) || [];
-    // Extract kanji compounds (medical terms like 脳卒中, 運動療法)
-    const kanji = text.match(/[\u4E00-\u9FFF]{2,}/g) || [];
-    // Extract English/acronym terms embedded in Japanese text
-    const english = text.match(/[A-Za-z][A-Za-z0-9\-]{1,}/g) || [];
-
+  // For Japanese text: dictionary segmentation (see segmentQuery), known terms first
+  if (isJapanese(text)) {
+    const segments = segmentQuery(text);
+    log?.push({ input: text, segments });
     // Common non-medical kanji to filter out
     const jaStop = new Set(['患者', '対象', '場合', '方法', '結果', '効果', '可能', '必要', '有効', '推奨', '診療', '使用', '実施', '介入', '評価', '改善', '予防', '有用', '適応', '検討', '報告', '研究', '比較', '期間', '目的', '対応', '施行', '観点', '状態', '状況', '影響', '関連', '安全性', '有効性']);
-    // Strip common suffixes: 患者, 症例, 療法 (keep root term)
-    const cleanKanji = kanji.map(w => w.replace(/患者$|症例$/, '')).filter(w => w.length >= 2);
-    const filtered = [...cleanKanji.filter(w => !jaStop.has(w)), ...katakana, ...english];
+    // Strip common suffixes: 患者, 症例 (keep root term)
+    const terms = [...segments.filter(s => s.source), ...segments.filter(s => !s.source)]
+      .map(s => s.text.replace(/患者$|症例$/, ''))
+      .filter(w => w.length >= 2 && !jaStop.has(w));
 
     // Deduplicate and take top 3
-    const unique = [...new Set(filtered)];
-    return unique.slice(0, 3);
+    return [...new Set(terms)].slice(0, 3);
   }
 
   // For English text: split by spaces, remove stopwords
@@ -389,290 +908,1854 @@ function extractCQKeywords(q) {
   return words.slice(0, 4);
 }
 
-// ── Synonym Dictionary ───────────────────────────────────────
-// Each group = set of equivalent terms. Input matching any → expand to all.
-const SYNONYMS = [
-  // リハビリ系
-  ['リハ', 'リハビリ', 'リハビリテーション', 'rehabilitation'],
-  ['PT', '理学療法', 'physical therapy', 'physiotherapy'],
-  ['OT', '作業療法', 'occupational therapy'],
-  ['ST', '言語聴覚療法', '言語療法', 'speech therapy'],
-  // 疾患略語
-  ['OA', '変形性関節症', 'osteoarthritis'],
-  ['膝OA', '変形性膝関節症', 'knee osteoarthritis'],
-  ['股OA', '変形性股関節症', 'hip osteoarthritis'],
-  ['RA', '関節リウマチ', 'rheumatoid arthritis'],
-  ['脳卒中', 'stroke', '脳梗塞', '脳出血', 'CVA'],
-  ['心筋梗塞', 'MI', 'AMI', '急性心筋梗塞', 'myocardial infarction'],
-  ['心不全', 'HF', 'heart failure', 'HFrEF', 'HFpEF'],
-  ['COPD', '慢性閉塞性肺疾患'],
-  ['DM', '糖尿病', 'diabetes'],
-  ['ALS', '筋萎縮性側索硬化症'],
-  ['PD', 'パーキンソン病', "Parkinson's disease"],
-  ['ACL', '前十字靱帯', '前十字靭帯', 'anterior cruciate ligament'],
-  ['TKA', '人工膝関節', '人工膝関節置換術'],
-  ['THA', '人工股関節', '人工股関節置換術'],
-  ['ICU', '集中治療', 'intensive care'],
-  ['BPPV', '良性発作性頭位めまい症'],
-  ['MCI', '軽度認知障害', 'mild cognitive impairment'],
-  // 治療法
-  ['運動療法', 'exercise therapy', '運動'],
-  ['物理療法', 'physical modalities', '物療'],
-  ['徒手療法', 'manual therapy', '徒手'],
-  ['電気刺激', 'NMES', '神経筋電気刺激', 'electrical stimulation'],
-  ['TENS', '経皮的電気神経刺激'],
-  ['嚥下', '嚥下障害', 'dysphagia', '嚥下訓練'],
-  ['ADL', '日常生活動作', 'activities of daily living'],
-  ['QOL', '生活の質', 'quality of life'],
-  ['ROM', '関節可動域', 'range of motion'],
-  // 略語→正式名
-  ['NSAIDs', '非ステロイド性抗炎症薬'],
-  ['CRPS', '複合性局所疼痛症候群'],
-  ['DVT', '深部静脈血栓症'],
-  ['VTE', '静脈血栓塞栓症'],
-  ['HAL', 'ロボットスーツ'],
-  ['FIM', '機能的自立度評価'],
-  ['BI', 'Barthel Index', 'バーセルインデックス'],
-  // 整形外科
-  ['腱板', '腱板損傷', 'rotator cuff', 'rotator cuff tear'],
-  ['半月板', '半月板損傷', 'meniscus', 'meniscal tear'],
-  ['椎間板ヘルニア', '腰椎椎間板ヘルニア', 'disc herniation', 'herniated disc'],
-  ['脊柱管狭窄症', '腰部脊柱管狭窄症', 'spinal stenosis', 'lumbar stenosis'],
-  ['変形性脊椎症', 'spondylosis', '脊椎症'],
-  // 神経系
-  ['片麻痺', 'hemiplegia', 'hemiparesis', '半身麻痺'],
-  ['失調', 'ataxia', '運動失調', '小脳失調'],
-  // 老年・フレイル
-  ['サルコペニア', 'sarcopenia', '筋肉減少症'],
-  ['フレイル', 'frailty', '虚弱'],
-  // その他
-  ['褥瘡', '褥創', 'pressure ulcer', 'pressure injury', 'bed sore'],
-  ['誤嚥性肺炎', 'aspiration pneumonia', '誤嚥'],
-];
+// ── Term Normalization & Fuzzy Matching ──────────────────────
+// normalizeTerm gives user input and local vocabulary one comparable form: NFKC
+// (half-width kana, full-width Latin), lower case, katakana → hiragana and variant
+// kanji → one form (靱帯/靭帯, 頚椎/頸椎). Apart from NFKC it keeps the length, so
+// highlight offsets still line up. Misspellings are matched by edit distance for
+// Latin words and by character-bigram overlap for Japanese.
+
+const VARIANT_KANJI = {
+  '靱': '靭', '頚': '頸', '彎': '弯', '痹': '痺', '膣': '腟', '搔': '掻', '剝': '剥', '塡': '填', '頰': '頬',
+};
+const VARIANT_KANJI_RE = new RegExp(`[${Object.keys(VARIANT_KANJI).join('')}]`, 'g');
+const FUZZY_MIN_DICE = 0.6;
+
+function normalizeTerm(text) {
+  return String(text || '').normalize('NFKC').toLowerCase()
+    .replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60))
+    .replace(VARIANT_KANJI_RE, c => VARIANT_KANJI[c]);
+}
+
+// Allowed edits for a Latin word: none up to 4 letters, 1 up to 8, then 2
+const maxEdits = word => word.length <= 4 ? 0 : word.length <= 8 ? 1 : 2;
+
+// Levenshtein distance, or max + 1 once it is certain to exceed max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Dice coefficient over character bigrams
+function bigramDice(a, b) {
+  const grams = s => {
+    const out = new Map();
+    for (let i = 0; i + 1 < s.length; i++) out.set(s.slice(i, i + 2), (out.get(s.slice(i, i + 2)) || 0) + 1);
+    return out;
+  };
+  const ga = grams(a);
+  const gb = grams(b);
+  let shared = 0;
+  for (const [g, n] of ga) shared += Math.min(n, gb.get(g) || 0);
+  return 2 * shared / ((a.length - 1) + (b.length - 1) || 1);
+}
+
+// How far a normalized term is from a vocabulary key (lower is closer), or null
+// when too far. Latin terms are also compared with each word of the key.
+function fuzzyDistance(term, key) {
+  if (isJapanese(term)) {
+    if (term.length < 3) return null;
+    const dice = bigramDice(term, key);
+    return dice >= FUZZY_MIN_DICE ? 1 - dice : null;
+  }
+  const max = maxEdits(term);
+  if (!max) return null;
+  const whole = editDistance(term, key, max);
+  if (whole <= max) return whole;
+  const words = key.split(/[\s-]+/);
+  if (words.length < 2) return null;
+  const best = Math.min(...words.map(w => editDistance(term, w, max)));
+  // A word match ranks behind a whole-key match at the same distance
+  return best <= max ? best + 0.5 : null;
+}
+
+// ── Medical Thesaurus ────────────────────────────────────────
+// Concepts (thesaurus.js) with ja/en labels, abbreviations and variants. Any of them
+// (case-insensitive) finds its concepts; expansion adds all their terms plus those of
+// narrower concepts — 脳卒中 brings in 脳梗塞, but 脳梗塞 does not bring in 脳卒中.
+//   GET /api/thesaurus            all concepts (the CQ browser's filter uses this)
+//   GET /api/thesaurus?q=<term>   concepts the term belongs to
+//   GET /api/thesaurus?id=<id>    one concept
+
+const CONCEPTS_BY_ID = new Map(THESAURUS.map(c => [c.id, c]));
+const CONCEPTS_BY_TERM = new Map(); // normalizeTerm(term or reading) → [concept]
+const NARROWER = new Map();         // concept id → [narrower concept]
+
+function conceptTerms(c) {
+  return [c.ja, c.en, ...(c.abbr || []), ...(c.variants || [])];
+}
+
+for (const c of THESAURUS) {
+  for (const term of [...conceptTerms(c), ...(c.reading ? [c.reading] : [])]) {
+    const key = normalizeTerm(term);
+    const list = CONCEPTS_BY_TERM.get(key) || [];
+    if (!list.includes(c)) CONCEPTS_BY_TERM.set(key, [...list, c]);
+  }
+  if (c.broader) NARROWER.set(c.broader, [...(NARROWER.get(c.broader) || []), c]);
+}
 
-// Build lookup: term(lowercase) → Set of synonyms
+function lookupConcepts(term) {
+  return CONCEPTS_BY_TERM.get(normalizeTerm(term)) || [];
+}
+
+// Preferred label in lang ('ja' | 'en') of the term's first concept, or null
+function thesaurusLabel(term, lang) {
+  return lookupConcepts(term)[0]?.[lang] || null;
+}
+
+// Build lookup: normalized term → Set of synonyms (own concepts + their narrower concepts)
 const SYN_MAP = new Map();
-for (const group of SYNONYMS) {
-  const lowerGroup = group.map(t => t.toLowerCase());
-  for (const term of lowerGroup) {
-    if (!SYN_MAP.has(term)) SYN_MAP.set(term, new Set());
-    for (const syn of group) SYN_MAP.get(term).add(syn);
+for (const [key, concepts] of CONCEPTS_BY_TERM) {
+  const syns = new Set();
+  for (const c of concepts) {
+    for (const related of [c, ...(NARROWER.get(c.id) || [])]) conceptTerms(related).forEach(t => syns.add(t));
+  }
+  SYN_MAP.set(key, syns);
+}
+
+function conceptRecord(c) {
+  return {
+    id: c.id,
+    ja: c.ja,
+    en: c.en,
+    reading: c.reading || null,
+    abbr: c.abbr || [],
+    variants: c.variants || [],
+    mesh: c.mesh || null,
+    broader: c.broader || null,
+    narrower: (NARROWER.get(c.id) || []).map(n => n.id),
+  };
+}
+
+function handleThesaurus(url, cors) {
+  const id = url.searchParams.get('id');
+  const q = (url.searchParams.get('q') || '').trim();
+  if (id) {
+    const c = CONCEPTS_BY_ID.get(id);
+    return c ? json(conceptRecord(c), 200, cors) : json({ error: 'Concept not found' }, 404, cors);
+  }
+  const concepts = q ? lookupConcepts(q) : THESAURUS;
+  return json({ total: concepts.length, concepts: concepts.map(conceptRecord) }, 200, cors);
+}
+
+// Local CQ/GL search: one synonym group per term — the term and its own concepts'
+// terms, without narrower concepts (searchIndex scores each group once).
+// extraSyns: normalized term → more synonyms for this request (MeSH entry terms)
+function expandSynonyms(terms, extraSyns = null) {
+  return [...new Set(terms)].map(term => [...new Set([
+    term,
+    ...lookupConcepts(term).flatMap(conceptTerms),
+    ...(extraSyns?.get(normalizeTerm(term)) || []),
+  ])]);
+}
+
+// ── Japanese Segmentation ────────────────────────────────────
+// Unspaced Japanese (膝関節症の運動療法の効果) → terms by longest match over a lexicon
+// of thesaurus terms, CQ keywords and GL disease names; particles split what is left.
+// Unknown runs are kept as terms unless they are question noise (効果, 有用か, 患者)
+// or bare hiragana. Used by /api/search, /api/cq/evidence and /api/suggest, which
+// return the segmentation.
+
+const JA_FILLER = /(?:に対する|に対して|における|による|および|及び|ならびに|または|又は|もしくは|の|に|を|は|が|と|で|や|へ|も|[\s・、。，,.()（）「」『』])+/g;
+const JA_NOISE = new Set([
+  '効果', '有効', '有効性', '有用', '有用性', '効果的', '可能', '必要', '推奨', '検討', '影響', '関連',
+  '比較', '結果', '方法', '場合', '対象', '患者', '症例', '者', '行う', '実施', '使用', '適応',
+]);
+// Sentence-final question forms: 有用か, 推奨されるか, 行うべきか
+const JA_QUESTION_END = /(?:である|する|される|すべき|べき|できる|は)?か[?？]?$/;
+
+const isWordChar = c => /[a-z0-9]/i.test(c || '');
+
+// Longest lookup(key) match at each position (keys lower-cased, at most maxLen chars);
+// unmatched runs are split on fillers → [{ text, entry | null }].
+// An ASCII term must not start or end inside an ASCII word ("OA" in "COAT").
+function segmentJapanese(text, lookup, maxLen) {
+  const lower = text.toLowerCase();
+  const segments = [];
+  let pending = '';
+  const flush = () => {
+    for (const piece of pending.split(JA_FILLER)) if (piece) segments.push({ text: piece, entry: null });
+    pending = '';
+  };
+  let i = 0;
+  while (i < text.length) {
+    let len = Math.min(maxLen, text.length - i);
+    let entry = null;
+    if (!(isWordChar(lower[i]) && isWordChar(lower[i - 1]))) {
+      for (; len > 0; len--) {
+        if (isWordChar(lower[i + len - 1]) && isWordChar(lower[i + len])) continue;
+        entry = lookup(lower.slice(i, i + len));
+        if (entry) break;
+      }
+    }
+    if (entry) {
+      flush();
+      segments.push({ text: text.slice(i, i + len), entry });
+      i += len;
+    } else {
+      pending += text[i++];
+    }
+  }
+  flush();
+  return segments;
+}
+
+// Built at isolate start (module scope), so requests only look terms up
+const SEGMENT_LEXICON = buildSegmentLexicon();
+
+function buildSegmentLexicon() {
+  const entries = new Map(); // normalizeTerm(term) → { source, concept }
+  const add = (term, source) => {
+    const key = normalizeTerm(term);
+    if (entries.has(key) || JA_NOISE.has(key) || (key.length < 2 && source !== 'thesaurus')) return;
+    entries.set(key, { source, concept: lookupConcepts(key)[0] || null });
+  };
+  for (const c of THESAURUS) [...conceptTerms(c), c.reading].filter(Boolean).forEach(t => add(t, 'thesaurus'));
+  for (const cq of CQ_DATA) cq.kw.forEach(t => add(t, 'cq'));
+  for (const gl of GUIDELINES) gl.diseases.forEach(t => add(t, 'guideline'));
+  return { entries, maxLen: Math.max(...[...entries.keys()].map(k => k.length)) };
+}
+
+// → [{ text, concept, source }]; source: 'thesaurus' | 'cq' | 'guideline' | null (unknown)
+function segmentQuery(text) {
+  const { entries, maxLen } = SEGMENT_LEXICON;
+  const out = [];
+  for (const seg of segmentJapanese(text, key => entries.get(normalizeTerm(key)), maxLen)) {
+    if (seg.entry) {
+      out.push({ text: seg.text, concept: seg.entry.concept?.id || null, source: seg.entry.source });
+      continue;
+    }
+    const piece = seg.text.replace(JA_QUESTION_END, '');
+    if (!piece || JA_NOISE.has(piece) || /^[\u3040-\u309F]+$/.test(piece)) continue;
+    // A lone kanji right after a term is its suffix: 膝関節 + 症
+    const prev = out[out.length - 1];
+    if (prev && /^[\u4E00-\u9FFF]$/.test(piece) && text.includes(prev.text + piece)) {
+      out[out.length - 1] = { text: prev.text + piece, concept: null, source: prev.source };
+      continue;
+    }
+    out.push({ text: piece, concept: null, source: null });
+  }
+  return out;
+}
+
+// Split unquoted, unfielded Japanese terms into AND groups of their segments.
+// Each split is recorded in `log` as { input, segments }.
+function segmentQueryTree(tree, log) {
+  return mapQueryTerms(tree, t => {
+    if (t.phrase || t.field || !isJapanese(t.value)) return t;
+    const segments = segmentQuery(t.value);
+    if (!segments.length || (segments.length === 1 && segments[0].text === t.value)) return t;
+    log.push({ input: t.value, segments });
+    return andNode(segments.map(s => termNode(s.text)));
+  });
+}
+
+// ── Query Parser ─────────────────────────────────────────────
+// `q` → boolean tree, rendered per backend syntax.
+//   Phrases:   "low back pain"  「腰痛」
+//   Operators: AND / OR / NOT (uppercase), & |, かつ・および / または・もしくは・あるいは / 除く・除外,
+//              -term (NOT); adjacent terms are ANDed
+//   Grouping:  ( ... )
+//   Fields:    term[tiab], "knee osteoarthritis"[mh], [Title/Abstract], [MeSH Terms] ...
+// Nodes: { type: 'term', value, phrase, field } | { type: 'and'|'or', children }
+//        | { type: 'not', child } | { type: 'raw', value } (verbatim, e.g. prebuilt filters)
+
+class QueryParseError extends Error {}
+
+const QUERY_OPERATORS = {
+  AND: 'AND', '&': 'AND', 'かつ': 'AND', 'および': 'AND',
+  OR: 'OR', '|': 'OR', 'または': 'OR', 'もしくは': 'OR', 'あるいは': 'OR',
+  NOT: 'NOT', '除く': 'NOT', '除外': 'NOT',
+};
+
+const FIELD_TAGS = {
+  tiab: 'tiab', 'title/abstract': 'tiab',
+  ti: 'ti', title: 'ti',
+  ab: 'ab', abstract: 'ab',
+  mh: 'mh', 'mesh terms': 'mh', mesh: 'mh',
+  majr: 'majr', 'mesh major topic': 'majr',
+  tw: 'tw', 'text word': 'tw',
+  au: 'au', author: 'au',
+  pt: 'pt', 'publication type': 'pt',
+  la: 'la', language: 'la',
+};
+
+const QUOTE_PAIRS = { '"': '"', '“': '”', '「': '」', '『': '』' };
+
+const termNode = (value, phrase = false, field = null) => ({ type: 'term', value, phrase, field });
+const rawNode = value => ({ type: 'raw', value });
+
+// Build an and/or node, flattening same-type children and collapsing singletons
+function groupNode(type, children) {
+  const flat = [];
+  for (const c of children) {
+    if (!c) continue;
+    if (c.type === type) flat.push(...c.children);
+    else flat.push(c);
+  }
+  if (!flat.length) return null;
+  if (flat.length === 1) return flat[0];
+  return { type, children: flat };
+}
+const andNode = children => groupNode('and', children);
+const orNode = children => groupNode('or', children);
+
+function tokenizeQuery(input) {
+  const s = input.normalize('NFKC');
+  const tokens = [];
+  let i = 0;
+  const readTag = () => {
+    if (s[i] !== '[') return null;
+    const end = s.indexOf(']', i);
+    if (end < 0) throw new QueryParseError('Unclosed field tag "["');
+    const raw = s.slice(i + 1, end).trim().toLowerCase();
+    i = end + 1;
+    return Object.hasOwn(FIELD_TAGS, raw) ? FIELD_TAGS[raw] : raw;
+  };
+  while (i < s.length) {
+    const ch = s[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ kind: ch }); i++; continue; }
+    if (QUOTE_PAIRS[ch]) {
+      const end = s.indexOf(QUOTE_PAIRS[ch], i + 1);
+      if (end < 0) throw new QueryParseError('Unclosed quotation mark');
+      const value = s.slice(i + 1, end).trim().replace(/\s+/g, ' ');
+      i = end + 1;
+      const field = readTag();
+      if (value) tokens.push({ kind: 'term', value, phrase: true, field });
+      continue;
+    }
+    if (ch === '-' && i + 1 < s.length && !/[\s)]/.test(s[i + 1])) {
+      tokens.push({ kind: 'op', op: 'NOT' }); i++; continue;
+    }
+    let j = i;
+    while (j < s.length && !/[\s()"“「『[]/.test(s[j])) j++;
+    const word = s.slice(i, j);
+    i = j;
+    if (Object.hasOwn(QUERY_OPERATORS, word)) { tokens.push({ kind: 'op', op: QUERY_OPERATORS[word] }); continue; }
+    const field = readTag();
+    if (word) tokens.push({ kind: 'term', value: word, phrase: false, field });
   }
+  return tokens;
 }
 
-function expandSynonyms(terms) {
-  const expanded = new Set(terms);
-  for (const term of terms) {
-    const syns = SYN_MAP.get(term.toLowerCase());
-    if (syns) {
-      for (const s of syns) expanded.add(s);
+// expr := and (OR and)* ; and := unary ((AND)? unary)* ; unary := NOT unary | primary
+function parseQuery(input) {
+  const tokens = tokenizeQuery(input || '');
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (t, op) => t && t.kind === 'op' && t.op === op;
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (isOp(peek(), 'OR')) { pos++; children.push(parseAnd()); }
+    return orNode(children);
+  }
+  function parseAnd() {
+    const children = [parseUnary()];
+    for (;;) {
+      const t = peek();
+      if (!t || t.kind === ')' || isOp(t, 'OR')) break;
+      if (isOp(t, 'AND')) pos++;
+      children.push(parseUnary());
+    }
+    return andNode(children);
+  }
+  function parseUnary() {
+    if (isOp(peek(), 'NOT')) {
+      pos++;
+      const child = parseUnary();
+      return child && { type: 'not', child };
     }
+    return parsePrimary();
   }
-  return [...expanded];
+  function parsePrimary() {
+    const t = peek();
+    if (!t) throw new QueryParseError('Query ends with an operator');
+    if (t.kind === '(') {
+      pos++;
+      const inner = peek()?.kind === ')' ? null : parseOr();
+      if (peek()?.kind !== ')') throw new QueryParseError('Unbalanced parenthesis');
+      pos++;
+      return inner;
+    }
+    if (t.kind === 'term') { pos++; return termNode(t.value, t.phrase, t.field); }
+    if (t.kind === ')') throw new QueryParseError('Unbalanced parenthesis');
+    throw new QueryParseError(`Unexpected operator ${t.op}`);
+  }
+
+  if (!tokens.length) return null;
+  const tree = parseOr();
+  if (pos < tokens.length) throw new QueryParseError('Unbalanced parenthesis');
+  validateQueryTree(tree);
+  return tree;
+}
+
+// NOT must narrow something: every AND needs a positive child, OR cannot hold NOT
+function validateQueryTree(node, top = true) {
+  if (!node) return;
+  if (node.type === 'not') {
+    if (top) throw new QueryParseError('NOT needs a positive term to exclude from');
+    validateQueryTree(node.child, false);
+  } else if (node.type === 'and') {
+    if (node.children.every(c => c.type === 'not')) throw new QueryParseError('NOT needs a positive term to exclude from');
+    node.children.forEach(c => validateQueryTree(c, false));
+  } else if (node.type === 'or') {
+    if (node.children.some(c => c.type === 'not')) throw new QueryParseError('NOT cannot be an OR alternative');
+    node.children.forEach(c => validateQueryTree(c, false));
+  }
+}
+
+// Positive (non-negated) term values, in order
+function queryTerms(node, out = []) {
+  if (!node) return out;
+  if (node.type === 'term') out.push(node.value);
+  else if (node.type === 'and' || node.type === 'or') node.children.forEach(c => queryTerms(c, out));
+  return out;
+}
+
+// Rebuild the tree with each term mapped through fn (term → node | null; null prunes it)
+async function mapQueryTerms(node, fn) {
+  if (!node) return null;
+  if (node.type === 'term') return fn(node);
+  if (node.type === 'raw') return node;
+  if (node.type === 'not') {
+    const child = await mapQueryTerms(node.child, fn);
+    return child && { type: 'not', child };
+  }
+  const children = await Promise.all(node.children.map(c => mapQueryTerms(c, fn)));
+  const kept = children.filter(Boolean);
+  if (node.type === 'and' && kept.length && kept.every(c => c.type === 'not')) return null;
+  return groupNode(node.type, kept);
+}
+
+// Translate every term; failed translations are pruned (null if nothing survives).
+// Terms already in the target script (e.g. "COPD" in a Japanese query) pass through.
+function translateQueryTree(tree, srcLang, tgtLang) {
+  return mapQueryTerms(tree, async t => {
+    if (isJapanese(t.value) !== (srcLang === 'ja')) return t;
+    const translated = await translate(t.value, srcLang, tgtLang).catch(() => null);
+    if (!translated) return null;
+    return termNode(translated, t.phrase, t.field);
+  });
+}
+
+// Synonyms in the same script as the term become OR alternatives (extraSyns as in
+// expandSynonyms). Fielded terms are left alone; 1–2 letter abbreviations are too
+// ambiguous to add.
+function expandQueryTree(tree, extraSyns = null) {
+  return mapQueryTerms(tree, t => {
+    if (t.field) return t;
+    const key = normalizeTerm(t.value);
+    const syns = [...(SYN_MAP.get(key) || []), ...(extraSyns?.get(key) || [])];
+    const ja = isJapanese(t.value);
+    const alts = new Map();
+    for (const s of syns) {
+      const lower = s.toLowerCase();
+      if (lower === t.value.toLowerCase() || isJapanese(s) !== ja || /^[A-Z]{1,2}$/.test(s)) continue;
+      if (!alts.has(lower)) alts.set(lower, s);
+    }
+    if (!alts.size) return t;
+    return orNode([t, ...[...alts.values()].map(s => termNode(s, /\s/.test(s)))]);
+  });
+}
+
+// ── Query Rendering ──────────────────────────────────────────
+// syntax: 'pubmed' | 'epmc' | 'boolean' (OpenAlex, DOAJ, ClinicalTrials.gov)
+//       | 'cinii' | 'keyword' (J-STAGE, S2: AND only — first OR alternative, NOT dropped)
+//       | 'text' (display)
+
+const EPMC_FIELDS = { ti: 'TITLE', ab: 'ABSTRACT', au: 'AUTH', pt: 'PUB_TYPE', la: 'LANG' };
+
+function renderTerm(t, syntax) {
+  const quoted = `"${t.value.replace(/"/g, '')}"`;
+  if (syntax === 'pubmed') {
+    if (!t.field) return t.phrase ? quoted : t.value;
+    return `${t.phrase || /\s/.test(t.value) ? quoted : t.value}[${t.field}]`;
+  }
+  const v = t.phrase ? quoted : t.value;
+  if (syntax === 'epmc') {
+    const ev = /\s/.test(t.value) ? quoted : t.value;
+    if (t.field === 'tiab') return `(TITLE:${ev} OR ABSTRACT:${ev})`;
+    if (EPMC_FIELDS[t.field]) return `${EPMC_FIELDS[t.field]}:${ev}`;
+    return v;
+  }
+  if (syntax === 'keyword') return t.value;
+  return v;
+}
+
+function renderQuery(node, syntax) {
+  if (!node) return '';
+  const wrap = (c, s) => (c.type === 'and' || c.type === 'or') ? `(${renderQuery(c, s)})` : renderQuery(c, s);
+  switch (node.type) {
+    case 'term': return renderTerm(node, syntax);
+    case 'raw': return node.value;
+    case 'not': return syntax === 'keyword' ? '' : `NOT ${wrap(node.child, syntax)}`;
+    case 'or':
+      if (syntax === 'keyword') return renderQuery(node.children[0], syntax);
+      return node.children.map(c => wrap(c, syntax)).join(' OR ');
+    case 'and': {
+      const pos = node.children.filter(c => c.type !== 'not');
+      const neg = node.children.filter(c => c.type === 'not').map(c => c.child);
+      if (syntax === 'keyword') return pos.map(c => renderQuery(c, syntax)).filter(Boolean).join(' ');
+      if (syntax === 'cinii') {
+        return [...pos.map(c => wrap(c, syntax)), ...neg.map(c => `-${wrap(c, syntax)}`)].join(' ');
+      }
+      const posText = pos.map(c => wrap(c, syntax)).join(' AND ');
+      if (!neg.length) return posText;
+      const negNode = orNode(neg);
+      return `${pos.length > 1 ? `(${posText})` : posText} NOT ${wrap(negNode, syntax)}`;
+    }
+    default: return '';
+  }
+}
+
+// ── Source Registry ──────────────────────────────────────────
+// Each literature database is an adapter:
+//   name      — label stored in result.source / foundIn
+//   lang      — query language preference for Japanese queries:
+//               'en' = translated English only, 'ja' = original only, 'both' = both
+//   bilingual — false: queried once even in multilingual mode (English preferred)
+//   cacheTtl  — seconds a cached search using this source stays fresh
+//               (override with env CACHE_TTL_<KEY>, e.g. CACHE_TTL_PUBMED)
+//   filters   — result filters the source applies natively (see SEARCH_FILTERS)
+//   canFilterLevels — optional: (levels) → whether 'levels' can be pushed down
+//   levels    — optional: the only evidence levels the source can return
+//   syntax    — query syntax the source understands (see renderQuery)
+//   fetch     — (query string, { limit, filters }) → raw records
+//   normalize — raw record → result (or null to skip)
+//   classify  — (raw, result) → evidence level
+//   patientVoice — optional (ctx) → query trees (+ limit) for the patient-voice search
+// Adding a database = adding an entry here; orchestration and counters follow.
+const SOURCES = {
+  pubmed: {
+    name: 'PubMed',
+    syntax: 'pubmed',
+    lang: 'en',
+    cacheTtl: 21600,
+    filters: ['year', 'lang', 'oa', 'levels'],
+    // [pt] limits exist for every level except 'other'
+    canFilterLevels: levels => levels.every(l => PUBMED_LEVEL_PT[l]),
+    fetch: fetchPubMed,
+    normalize: normalizePubMed,
+    classify: a => classifyPubType(a.pubtype || []),
+    patientVoice: ({ enTree }) => [{ tree: andNode([enTree, rawNode(PV_PUBMED_FILTER)]), limit: 20 }],
+  },
+  jstage: {
+    name: 'J-STAGE',
+    syntax: 'keyword',
+    lang: 'ja',
+    cacheTtl: 43200,
+    filters: ['year'],
+    fetch: fetchJStage,
+    normalize: normalizeJStage,
+    classify: (_, r) => classifyByTitle(r.title),
+    patientVoice: ({ isJa, tree, translatedTree }) => {
+      if (isJa) return [{ tree: andNode([tree, termNode(QUAL_TERMS_JA[0])]) }];
+      if (translatedTree) return [{ tree: andNode([translatedTree, termNode(QUAL_TERMS_JA[0])]) }];
+      return [];
+    },
+  },
+  s2: {
+    name: 'Semantic Scholar',
+    syntax: 'keyword',
+    lang: 'en',
+    cacheTtl: 21600,
+    filters: ['year', 'oa'],
+    fetch: fetchS2,
+    normalize: normalizeS2,
+    classify: p => classifyS2Type(p.publicationTypes, p.title),
+    patientVoice: ({ enTree }) => [{ tree: andNode([enTree, rawNode('qualitative patient experience quality of life')]) }],
+  },
+  openalex: {
+    name: 'OpenAlex',
+    syntax: 'boolean',
+    lang: 'both',
+    cacheTtl: 43200,
+    filters: ['year', 'lang', 'oa'],
+    fetch: fetchOpenAlex,
+    normalize: normalizeOpenAlex,
+    classify: w => classifyOAType(w.type, w.title),
+    patientVoice: ({ enTree }) => [{ tree: andNode([enTree, rawNode('patient experience qualitative')]) }],
+  },
+  cinii: {
+    name: 'CiNii',
+    syntax: 'cinii',
+    lang: 'ja',
+    cacheTtl: 86400,
+    filters: ['year'],
+    fetch: fetchCiNii,
+    normalize: normalizeCiNii,
+    classify: (_, r) => classifyByTitle(r.title),
+    patientVoice: ({ isJa, tree }) => isJa ? [{ tree: andNode([tree, termNode(QUAL_TERMS_JA[0])]) }] : [],
+  },
+  epmc: {
+    name: 'Europe PMC',
+    syntax: 'epmc',
+    lang: 'both',
+    cacheTtl: 21600,
+    filters: ['year', 'lang', 'oa'],
+    fetch: fetchEPMC,
+    normalize: normalizeEPMC,
+    classify: p => classifyPubType(p.pubTypeList?.pubType || []),
+    patientVoice: ({ enTree }) => [{ tree: andNode([enTree, orNode(QUAL_TERMS.slice(0, 4).map(t => termNode(t, true)))]) }],
+  },
+  cochrane: {
+    name: 'Cochrane',
+    syntax: 'pubmed',
+    lang: 'en',
+    cacheTtl: 86400,
+    filters: ['year', 'lang', 'oa'],
+    levels: ['sr_ma'],
+    bilingual: false,
+    fetch: fetchCochrane,
+    normalize: normalizeCochrane,
+    classify: () => 'sr_ma',
+    // Qualitative evidence synthesis
+    patientVoice: ({ enTree }) => [{ tree: andNode([enTree, termNode('qualitative', true)]) }],
+  },
+  doaj: {
+    name: 'DOAJ',
+    syntax: 'boolean',
+    lang: 'both',
+    cacheTtl: 86400,
+    filters: ['year', 'oa'], // every DOAJ article is open access
+    fetch: fetchDOAJ,
+    normalize: normalizeDOAJ,
+    classify: (_, r) => classifyByTitle(r.title),
+    patientVoice: ({ enTree }) => [{ tree: andNode([enTree, rawNode('qualitative patient')]) }],
+  },
+};
+
+const SOURCE_KEYS = Object.keys(SOURCES);
+const SOURCE_KEY_BY_NAME = new Map(SOURCE_KEYS.map(k => [SOURCES[k].name, k]));
+
+// Parse `sources=pubmed,jstage` → adapter keys (null if any key is unknown)
+function selectSources(param) {
+  if (!param) return SOURCE_KEYS;
+  const keys = [...new Set(param.split(',').map(s => s.trim().toLowerCase()).filter(Boolean))];
+  if (!keys.length || keys.some(k => !SOURCES[k])) return null;
+  return keys;
+}
+
+// Query trees a source receives, given the original and (optional) translated tree.
+// English-only sources are skipped for a Japanese query whose translation failed.
+function sourceQueries(src, { original, translated, isJaQuery, multilingual }) {
+  if (!translated) return isJaQuery && src.lang === 'en' ? [] : [original];
+  if (multilingual) {
+    if (src.bilingual === false) return [isJaQuery ? translated : original];
+    return [original, translated];
+  }
+  if (src.lang === 'en') return [translated];
+  if (src.lang === 'ja') return [original];
+  return [original, translated];
+}
+
+// Render → fetch → normalize → classify for one adapter
+async function runSource(key, tree, opts = {}) {
+  const src = SOURCES[key];
+  const raw = await callSource(key, () => src.fetch(renderQuery(tree, src.syntax), opts));
+  return normalizeRecords(key, raw);
+}
+
+// Raw records from SOURCES[key] → classified results
+function normalizeRecords(key, raw) {
+  const src = SOURCES[key];
+  const results = [];
+  for (const rec of raw || []) {
+    const r = src.normalize(rec);
+    if (!r) continue;
+    r.evidenceLevel = src.classify(rec, r);
+    results.push(r);
+  }
+  return results;
+}
+
+// ── Source Health (circuit breaker) ──────────────────────────
+// Per-isolate, in memory (like the rate limiter). Each upstream — the SOURCES
+// plus ClinicalTrials.gov — is 'closed' (healthy), 'open' (skipped without a
+// request after CIRCUIT_FAILURES consecutive failures) or 'half_open' (cool-down
+// over, one probe request allowed). Cool-down doubles on every re-trip.
+
+const CIRCUIT_FAILURES = 3;
+const CIRCUIT_BASE_COOLDOWN = 30 * 1000;
+const CIRCUIT_MAX_COOLDOWN = 10 * 60 * 1000;
+const HEALTH_SAMPLES = 20;
+const HEALTH_SOURCES = [...SOURCE_KEYS, 'clinicaltrials'];
+const sourceHealth = new Map();
+
+class SourceUnavailableError extends Error {}
+
+function healthOf(key) {
+  if (!sourceHealth.has(key)) {
+    sourceHealth.set(key, {
+      state: 'closed', failures: 0, trips: 0, retryAt: 0, probing: false,
+      samples: [], lastError: null, lastErrorAt: null, lastSuccessAt: null,
+    });
+  }
+  return sourceHealth.get(key);
+}
+
+// Throws SourceUnavailableError while the circuit is open
+function acquireSource(key) {
+  const h = healthOf(key);
+  if (h.state === 'closed') return;
+  const now = Date.now();
+  if (h.state === 'open' && now >= h.retryAt) {
+    h.state = 'half_open';
+    h.probing = false;
+  }
+  if (h.state === 'half_open' && !h.probing) {
+    h.probing = true;
+    return;
+  }
+  const wait = Math.max(0, Math.ceil((h.retryAt - now) / 1000));
+  throw new SourceUnavailableError(`circuit open, retrying in ${wait}s`);
+}
+
+// Upstream errors carry their status as "... HTTP <status>"; anything without
+// one is a network error or timeout
+function isUpstreamFailure(e) {
+  const status = Number((e?.message || '').match(/HTTP (\d{3})$/)?.[1]);
+  return !status || status === 429 || status >= 500;
+}
+
+function markSourceUp(h, ms) {
+  recordSample(h, true, ms);
+  h.state = 'closed';
+  h.failures = 0;
+  h.trips = 0;
+  h.lastSuccessAt = Date.now();
+}
+
+async function trackSource(key, fn) {
+  const h = healthOf(key);
+  const start = Date.now();
+  try {
+    const result = await fn();
+    markSourceUp(h, Date.now() - start);
+    return result;
+  } catch (e) {
+    // A 4xx is a bad request, not a sick upstream: pass it through untripped
+    if (!isUpstreamFailure(e)) {
+      markSourceUp(h, Date.now() - start);
+      throw e;
+    }
+    recordSample(h, false, Date.now() - start);
+    h.failures++;
+    h.lastError = e?.message || String(e);
+    h.lastErrorAt = Date.now();
+    if (h.state === 'half_open' || h.failures >= CIRCUIT_FAILURES) {
+      h.trips++;
+      h.state = 'open';
+      h.retryAt = Date.now() + Math.min(CIRCUIT_MAX_COOLDOWN, CIRCUIT_BASE_COOLDOWN * 2 ** (h.trips - 1));
+    }
+    throw e;
+  } finally {
+    h.probing = false;
+  }
+}
+
+// One guarded upstream call: skipped while the circuit is open, tracked otherwise
+async function callSource(key, fn) {
+  acquireSource(key);
+  return trackSource(key, fn);
+}
+
+function recordSample(h, ok, ms) {
+  h.samples.push({ ok, ms });
+  if (h.samples.length > HEALTH_SAMPLES) h.samples.shift();
+}
+
+function sourceHealthReport(key) {
+  const h = healthOf(key);
+  const okSamples = h.samples.filter(s => s.ok);
+  const latencies = okSamples.map(s => s.ms).sort((a, b) => a - b);
+  // Lazily move an expired open circuit to half-open so the report matches what a search would do
+  const state = h.state === 'open' && Date.now() >= h.retryAt ? 'half_open' : h.state;
+  return {
+    name: SOURCES[key]?.name || 'ClinicalTrials.gov',
+    state,
+    available: state !== 'open',
+    successRate: h.samples.length ? Math.round(okSamples.length / h.samples.length * 100) / 100 : null,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    p95LatencyMs: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null,
+    samples: h.samples.length,
+    consecutiveFailures: h.failures,
+    retryInSeconds: state === 'open' ? Math.ceil((h.retryAt - Date.now()) / 1000) : 0,
+    lastError: h.lastError,
+    lastErrorAt: h.lastErrorAt && new Date(h.lastErrorAt).toISOString(),
+    lastSuccessAt: h.lastSuccessAt && new Date(h.lastSuccessAt).toISOString(),
+  };
+}
+
+function handleHealth(cors) {
+  const sources = Object.fromEntries(HEALTH_SOURCES.map(key => [key, sourceHealthReport(key)]));
+  const ok = Object.values(sources).every(s => s.available);
+  return json({ status: ok ? 'ok' : 'degraded', sources, checkedAt: new Date().toISOString() }, 200, cors);
+}
+
+// ── Search Filters ───────────────────────────────────────────
+// yearFrom/yearTo → 'year', lang → 'lang', oa → 'oa', levels → 'levels'.
+// Sources translate the filters they list in SOURCES[].filters into their own
+// query syntax; everything else is enforced by applyResultFilters after merge.
+
+const SEARCH_FILTERS = ['year', 'lang', 'oa', 'levels'];
+const FILTER_LANGS = ['ja', 'en'];
+
+// → { filters } (null when none given) or { error }
+function parseFilters(params) {
+  const f = {};
+  for (const name of ['yearFrom', 'yearTo']) {
+    const v = params.get(name);
+    if (!v) continue;
+    const y = Number(v);
+    if (!Number.isInteger(y) || y < 1800 || y > 2100) return { error: `${name} must be a year (1800-2100)` };
+    f[name] = y;
+  }
+  if (f.yearFrom && f.yearTo && f.yearFrom > f.yearTo) return { error: 'yearFrom must not be after yearTo' };
+
+  const lang = params.get('lang');
+  if (lang) {
+    f.lang = [...new Set(lang.split(',').map(s => s.trim().toLowerCase()).filter(Boolean))];
+    if (!f.lang.length || f.lang.some(l => !FILTER_LANGS.includes(l))) {
+      return { error: `lang must be a comma-separated list of: ${FILTER_LANGS.join(', ')}` };
+    }
+  }
+
+  if (params.get('oa') === 'true') f.oa = true;
+
+  // PICO study design narrows evidence levels unless levels is given explicitly
+  for (const name of ['design', 'levels']) {
+    const value = params.get(name);
+    if (!value) continue;
+    f.levels = [...new Set(value.split(',').map(s => s.trim()).filter(Boolean))];
+    if (!f.levels.length || f.levels.some(l => !EVIDENCE_ORDER.includes(l))) {
+      return { error: `${name} must be a comma-separated list of: ${EVIDENCE_ORDER.join(', ')}` };
+    }
+  }
+
+  return { filters: Object.keys(f).length ? f : null };
+}
+
+function activeFilters(f) {
+  if (!f) return [];
+  return SEARCH_FILTERS.filter(name =>
+    name === 'year' ? !!(f.yearFrom || f.yearTo) : !!f[name]);
+}
+
+// A source whose fixed evidence levels are all excluded need not be queried
+function sourceExcludedByFilters(src, f) {
+  return !!(f?.levels && src.levels && !src.levels.some(l => f.levels.includes(l)));
+}
+
+function resultLanguage(r) {
+  if (r.language) return langCode(r.language);
+  return isJapanese(r.title || '') ? 'ja' : '';
+}
+
+// Does r pass filter `name`? Unknown values pass only if a source that
+// found r applied the filter natively.
+function passesFilter(r, name, f) {
+  let known;
+  let ok;
+  if (name === 'year') {
+    known = !!r.year;
+    ok = known && (!f.yearFrom || r.year >= f.yearFrom) && (!f.yearTo || r.year <= f.yearTo);
+  } else if (name === 'lang') {
+    const lang = resultLanguage(r);
+    known = !!lang;
+    ok = known && f.lang.includes(lang);
+  } else if (name === 'oa') {
+    known = r.openAccess !== undefined;
+    ok = r.openAccess === true;
+  } else {
+    known = true;
+    ok = f.levels.includes(r.evidenceLevel);
+  }
+  if (known) return ok;
+  return (r.foundIn || [r.source]).some(s => {
+    const src = SOURCES[SOURCE_KEY_BY_NAME.get(s)];
+    return src && sourceHonorsFilter(src, name, f);
+  });
+}
+
+function sourceHonorsFilter(src, name, f) {
+  if (!src.filters?.includes(name)) return false;
+  if (name === 'levels' && src.canFilterLevels) return src.canFilterLevels(f.levels);
+  return true;
+}
+
+function applyResultFilters(results, f) {
+  const names = activeFilters(f);
+  if (!names.length) return results;
+  return results.filter(r => names.every(name => passesFilter(r, name, f)));
+}
+
+// Per-source report: which of the active filters each queried source honored natively
+function filterReport(f, sourceKeys, removed) {
+  const names = activeFilters(f);
+  const honored = {};
+  const skipped = [];
+  for (const key of sourceKeys) {
+    if (sourceExcludedByFilters(SOURCES[key], f)) { skipped.push(key); continue; }
+    honored[key] = names.filter(n => sourceHonorsFilter(SOURCES[key], n, f));
+  }
+  return { applied: f, honored, skipped, postFiltered: removed };
+}
+
+// ── Search Cache (stale-while-revalidate) ────────────────────
+// Backed by the SEARCH_CACHE KV namespace when bound, otherwise the
+// Workers Cache API (no-op on *.workers.dev). Entries stay fresh for the
+// shortest TTL among the queried sources, then are served stale for up to
+// SEARCH_CACHE_STALE seconds while a background refresh runs.
+
+const CACHE_VERSION = 'v2';
+const CTGOV_CACHE_TTL = 3600;
+const DEFAULT_STALE_TTL = 86400;
+const ERROR_CACHE_TTL = 60; // partial results (some source failed) expire fast
+const CACHE_BYPASS_PARAM = 'refresh';
+// Query text keeps its case in the key: only uppercase AND/OR/NOT are operators
+const CACHE_CASED_PARAMS = ['q', 'disease', 'treatment', 'topic', 'population', 'intervention', 'comparison', 'outcome'];
+const revalidating = new Set();
+
+function searchCacheStore(env) {
+  if (env.SEARCH_CACHE) {
+    return {
+      get: key => env.SEARCH_CACHE.get(key, 'json'),
+      // KV requires expirationTtl >= 60
+      put: (key, entry, ttl) => env.SEARCH_CACHE.put(key, JSON.stringify(entry), { expirationTtl: Math.max(60, ttl) }),
+    };
+  }
+  if (typeof caches !== 'undefined' && caches.default) {
+    const req = key => new Request(`https://search-cache.internal/${encodeURIComponent(key)}`);
+    return {
+      get: async key => {
+        const res = await caches.default.match(req(key));
+        return res ? res.json() : null;
+      },
+      put: (key, entry, ttl) => caches.default.put(req(key), new Response(JSON.stringify(entry), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${ttl}` },
+      })),
+    };
+  }
+  return null;
+}
+
+// Key = every search parameter (query, mode flags, filters) in canonical form
+function searchCacheKey(url) {
+  const entries = [];
+  for (const [k, v] of url.searchParams) {
+    if (k === CACHE_BYPASS_PARAM) continue;
+    let val = v.normalize('NFKC').trim().replace(/\s+/g, ' ');
+    if (!CACHE_CASED_PARAMS.includes(k)) val = val.toLowerCase();
+    if (k === 'sources') val = val.split(',').map(s => s.trim()).filter(Boolean).sort().join(',');
+    if (!val || val === 'false') continue;
+    entries.push(`${k}=${val}`);
+  }
+  entries.sort();
+  return `search:${CACHE_VERSION}:${entries.join('&')}`;
+}
+
+function searchCacheTtl(url, env) {
+  const keys = selectSources(url.searchParams.get('sources')) || SOURCE_KEYS;
+  const ttls = keys.map(k => Number(env[`CACHE_TTL_${k.toUpperCase()}`]) || SOURCES[k].cacheTtl);
+  const ctTtl = Number(env.CACHE_TTL_CLINICALTRIALS) || CTGOV_CACHE_TTL;
+  return Math.min(...ttls, ctTtl);
+}
+
+async function storeSearchCache(store, url, env, data) {
+  const ttl = searchCacheTtl(url, env);
+  const staleTtl = Number(env.SEARCH_CACHE_STALE) || DEFAULT_STALE_TTL;
+  const hasErrors = Object.values(data.sources?.errors || {}).some(Boolean);
+  const freshFor = hasErrors ? Math.min(ttl, ERROR_CACHE_TTL) : ttl;
+  const entry = { storedAt: Date.now(), ttl: freshFor, data };
+  try {
+    await store.put(searchCacheKey(url), entry, freshFor + staleTtl);
+  } catch (e) {
+    console.error('Search cache put failed:', e);
+  }
+}
+
+async function refreshSearchCache(store, url, cors, env) {
+  const res = await handleSearch(url, cors);
+  if (res.status !== 200) return { res, data: null };
+  const data = await res.json();
+  await storeSearchCache(store, url, env, data);
+  return { res, data };
+}
+
+// Cached body (with `cache` metadata) when fresh or within the stale window, else null.
+// Stale hits trigger one background refresh per key.
+async function readSearchCache(store, url, cors, env, ctx) {
+  if (url.searchParams.get(CACHE_BYPASS_PARAM) === 'true') return null;
+  const key = searchCacheKey(url);
+  const staleTtl = Number(env.SEARCH_CACHE_STALE) || DEFAULT_STALE_TTL;
+  let entry = null;
+  try { entry = await store.get(key); } catch (e) { console.error('Search cache get failed:', e); }
+  if (!entry?.data) return null;
+
+  const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+  const stale = age >= entry.ttl;
+  if (stale && age >= entry.ttl + staleTtl) return null;
+  if (stale && !revalidating.has(key)) {
+    revalidating.add(key);
+    const refresh = refreshSearchCache(store, url, cors, env)
+      .catch(e => console.error('Search cache refresh failed:', e))
+      .finally(() => revalidating.delete(key));
+    if (ctx?.waitUntil) ctx.waitUntil(refresh);
+  }
+  return { ...entry.data, cache: { cached: true, stale, age, ttl: entry.ttl } };
+}
+
+async function handleCachedSearch(url, cors, env, ctx) {
+  const store = searchCacheStore(env);
+  if (!store) return handleSearch(url, cors);
+
+  const hit = await readSearchCache(store, url, cors, env, ctx);
+  if (hit) return json(hit, 200, cors);
+
+  const { res, data } = await refreshSearchCache(store, url, cors, env);
+  if (!data) return res;
+  return json({ ...data, cache: { cached: false, stale: false, age: 0, ttl: searchCacheTtl(url, env) } }, 200, cors);
 }
 
 // ── Search ────────────────────────────────────────────────────
 
-async function handleSearch(url, cors) {
+// PICO query model: population AND (intervention OR comparison); outcomes only boost
+// the score. Study design (`design`) is applied as an evidence-level filter.
+const PICO_FIELDS = ['population', 'intervention', 'comparison', 'outcome'];
+
+// [{ name, tree }] → { tree: required query, boost: optional scoring terms }
+function composeFieldTrees(fieldTrees) {
+  const byName = name => fieldTrees.find(f => f.name === name)?.tree || null;
+  if (!fieldTrees.some(f => PICO_FIELDS.includes(f.name))) {
+    return { tree: andNode(fieldTrees.map(f => f.tree)), boost: null };
+  }
+  const arms = orNode([byName('intervention'), byName('comparison')].filter(Boolean));
+  const required = andNode([byName('population'), arms].filter(Boolean));
+  // Outcome alone still has to find something
+  if (!required) return { tree: byName('outcome'), boost: null };
+  return { tree: required, boost: byName('outcome') };
+}
+
+// emit (optional): receives progress events for /api/search/stream —
+//   start, local (guidelines + CQ), source (one batch), merge (deduplicated snapshot), clinicalTrials
+async function handleSearch(url, cors, emit = null) {
   // Support single 'q' param (split by spaces) OR separate fields
   const qParam = url.searchParams.get('q') || '';
   const disease = url.searchParams.get('disease') || '';
   const treatment = url.searchParams.get('treatment') || '';
   const topic = url.searchParams.get('topic') || '';
+  const pico = Object.fromEntries(PICO_FIELDS.map(k => [k, url.searchParams.get(k) || '']));
+  const isPico = PICO_FIELDS.some(k => pico[k]);
   const multilingual = url.searchParams.get('multilingual') === 'true';
   const patientVoice = url.searchParams.get('patientVoice') === 'true';
-
-  // Build query parts from either q or individual fields
-  const queryParts = [];
-  if (qParam) {
-    queryParts.push(...qParam.split(/\s+/).filter(Boolean));
-  } else {
-    if (disease) queryParts.push(disease);
-    if (treatment) queryParts.push(treatment);
-    if (topic) queryParts.push(topic);
+  const meshMode = url.searchParams.get('mesh') || 'off';
+  if (!MESH_MODES.includes(meshMode)) {
+    return json({ error: `mesh must be one of: ${MESH_MODES.join(', ')}` }, 400, cors);
   }
+  const selectedSources = selectSources(url.searchParams.get('sources'));
+  if (!selectedSources) {
+    return json({ error: `sources must be a comma-separated list of: ${SOURCE_KEYS.join(', ')}` }, 400, cors);
+  }
+  const { filters, error: filterError } = parseFilters(url.searchParams);
+  if (filterError) return json({ error: filterError }, 400, cors);
+  const sort = url.searchParams.get('sort') || 'year';
+  if (!SORT_MODES.includes(sort)) {
+    return json({ error: `sort must be one of: ${SORT_MODES.join(', ')}` }, 400, cors);
+  }
+  const cqFilters = parseCQFilters(url.searchParams, 'cq');
+  if (cqFilters.error) return json({ error: cqFilters.error }, 400, cors);
+
+  // Parse q (or each field) into a boolean query tree
+  const fields = qParam
+    ? [{ name: 'q', value: qParam }]
+    : isPico
+      ? PICO_FIELDS.map(name => ({ name, value: pico[name] })).filter(f => f.value)
+      : [{ name: 'disease', value: disease }, { name: 'treatment', value: treatment }, { name: 'topic', value: topic }]
+        .filter(f => f.value);
+  let fieldTrees;
+  try {
+    fieldTrees = fields.map(f => ({ ...f, tree: parseQuery(f.value) })).filter(f => f.tree);
+  } catch (e) {
+    if (e instanceof QueryParseError) return json({ error: `Invalid query: ${e.message}` }, 400, cors);
+    throw e;
+  }
+  // Unspaced Japanese (膝関節症の運動療法) → AND of its segments
+  const segmentation = [];
+  fieldTrees = await Promise.all(fieldTrees.map(async f => ({ ...f, tree: await segmentQueryTree(f.tree, segmentation) })));
+  const { tree: queryTree, boost: boostTree } = composeFieldTrees(fieldTrees);
 
-  if (queryParts.length === 0) {
-    return json({ error: 'q, disease, treatment, or topic required' }, 400, cors);
+  if (!queryTree) {
+    return json({ error: 'q, disease, treatment, topic, population, or intervention required' }, 400, cors);
   }
+  // Positive terms, for language detection and the local CQ/GL search (outcomes included)
+  const queryParts = [...queryTerms(queryTree), ...queryTerms(boostTree)];
 
   // Synonym expansion (always, before multilingual)
-  const expandedParts = expandSynonyms(queryParts);
-  // Keep original queryParts for external DB, use expandedParts for CQ/GL search
+  let expandedParts = expandSynonyms(queryParts);
+  // External DBs get synonyms as OR groups inside the tree; CQ/GL search uses expandedParts
 
   // Detect language
   const isJaQuery = isJapanese(queryParts.join(' '));
 
   // Multilingual OR auto-translate: get English equivalents for Japanese queries
+  let translatedTree = null;
+  let translatedBoost = null;
   let translatedParts = null;
   let translatedDisease = '';
   let translatedTreatment = '';
   let translatedTopic = '';
+  const translatedPico = {};
   const needsTranslation = multilingual || isJaQuery;
   if (needsTranslation) {
     const srcLang = isJaQuery ? 'ja' : 'en';
     const tgtLang = isJaQuery ? 'en' : 'ja';
 
-    const translations = await Promise.allSettled(
-      queryParts.map(q => translate(q, srcLang, tgtLang))
-    );
-    translatedParts = translations.map((t) =>
-      t.status === 'fulfilled' && t.value ? t.value : null
+    // Translate field by field so the advanced form can show each translation
+    const translatedFields = await Promise.all(
+      fieldTrees.map(f => translateQueryTree(f.tree, srcLang, tgtLang))
     );
     // Track translated terms for display (only show if user opted in)
     if (multilingual) {
-      let idx = 0;
-      if (disease)   { translatedDisease   = translatedParts[idx] || ''; idx++; }
-      if (treatment) { translatedTreatment = translatedParts[idx] || ''; idx++; }
-      if (topic)     { translatedTopic     = translatedParts[idx] || ''; }
+      fieldTrees.forEach((f, i) => {
+        const text = renderQuery(translatedFields[i], 'text');
+        if (f.name === 'disease')   translatedDisease   = text;
+        if (f.name === 'treatment') translatedTreatment = text;
+        if (f.name === 'topic')     translatedTopic     = text;
+        if (PICO_FIELDS.includes(f.name)) translatedPico[f.name] = text;
+      });
     }
-    // Filter out failed translations
-    translatedParts = translatedParts.filter(Boolean);
+    // Failed translations are already pruned from the tree
+    ({ tree: translatedTree, boost: translatedBoost } = composeFieldTrees(
+      fieldTrees.map((f, i) => ({ ...f, tree: translatedFields[i] }))));
+    translatedParts = [...queryTerms(translatedTree), ...queryTerms(translatedBoost)];
   }
 
   // Patient Voice only mode: skip literature/GL/CQ/CT searches
   if (patientVoice) {
-    const pvResults = await searchPatientVoice(queryParts, translatedParts);
+    const pvResults = await searchPatientVoice(queryTree, translatedTree, selectedSources, filters, sort);
     return json({
-      query: { disease, treatment, topic },
+      query: { disease, treatment, topic, ...(isPico && { pico }) },
       totalCount: 0,
       results: {},
       nationalGuidelines: [],
       clinicalQuestions: [],
       clinicalTrials: [],
       sources: {},
+      segmentation,
       patientVoice: pvResults,
     }, 200, cors);
   }
 
+  // MeSH explode: descriptors for the English query concepts; their entry terms
+  // become synonyms for every source
+  const enTree = isJaQuery ? translatedTree : queryTree;
+  const meshByTerm = meshMode === 'explode' && enTree
+    ? await meshForTerms(queryTerms(enTree)).catch(() => new Map())
+    : new Map();
+  const meshSyns = new Map([...meshByTerm].map(([term, d]) => [normalizeTerm(term), meshSynonyms(d)]));
+  if (meshSyns.size) expandedParts = expandSynonyms(queryParts, meshSyns);
+
   // Build parallel search tasks
-  // Strategy: each DB gets the language it handles best
+  // Strategy: each DB gets the language it handles best (see SOURCES[].lang)
+  const [original, translated, meshTree] = await Promise.all([
+    expandQueryTree(queryTree, meshSyns),
+    translatedTree && expandQueryTree(translatedTree, meshSyns),
+    meshByTerm.size ? meshExplodeTree(enTree, meshByTerm).then(tree => expandQueryTree(tree, meshSyns)) : null,
+  ]);
+  const queryCtx = { original, translated, isJaQuery, multilingual };
+  // PubMed and Cochrane get the MeSH tree in place of the English one
+  const enExpanded = isJaQuery ? translated : original;
+  const perSource = selectedSources
+    .filter(key => !sourceExcludedByFilters(SOURCES[key], filters))
+    .map(key => {
+      const queries = sourceQueries(SOURCES[key], queryCtx);
+      if (!meshTree || !MESH_SOURCES.includes(key)) return [key, queries];
+      return [key, queries.map(q => q === enExpanded ? meshTree : q)];
+    });
+
+  // First-language queries go out before second-language ones
   const searches = [];
   const searchLabels = [];
-  const jaText = queryParts.join(' ');
-  const enParts = isJaQuery && translatedParts?.length ? translatedParts : queryParts;
-  const enText = enParts.join(' ');
-
-  if (isJaQuery && !multilingual) {
-    // Japanese query without multilingual:
-    // - PubMed/S2: auto-translated English (these DBs can't search Japanese)
-    // - J-STAGE/CiNii: original Japanese (native Japanese DBs)
-    // - OpenAlex/EPMC: both (partial Japanese support)
-    if (translatedParts?.length) {
-      searches.push(searchPubMed(translatedParts)); searchLabels.push('pubmed');
-      searches.push(searchS2(enText));              searchLabels.push('s2');
-    }
-    searches.push(searchJStage(jaText));    searchLabels.push('jstage');
-    searches.push(searchOpenAlex(jaText));  searchLabels.push('openalex');
-    searches.push(searchCiNii(jaText));     searchLabels.push('cinii');
-    searches.push(searchEPMC(jaText));      searchLabels.push('epmc');
-    // Also search OpenAlex/EPMC with English for broader coverage
-    if (translatedParts?.length) {
-      searches.push(searchOpenAlex(enText)); searchLabels.push('openalex');
-      searches.push(searchEPMC(enText));     searchLabels.push('epmc');
-    }
-  } else if (multilingual && translatedParts?.length) {
-    // Multilingual: both languages to all DBs
-    for (const q of [{ parts: queryParts, text: jaText }, { parts: translatedParts, text: enText }]) {
-      searches.push(searchPubMed(q.parts));   searchLabels.push('pubmed');
-      searches.push(searchJStage(q.text));    searchLabels.push('jstage');
-      searches.push(searchS2(q.text));        searchLabels.push('s2');
-      searches.push(searchOpenAlex(q.text));  searchLabels.push('openalex');
-      searches.push(searchCiNii(q.text));     searchLabels.push('cinii');
-      searches.push(searchEPMC(q.text));      searchLabels.push('epmc');
+  for (const pass of [0, 1]) {
+    for (const [key, queries] of perSource) {
+      if (!queries[pass]) continue;
+      searches.push(runSource(key, queries[pass], { filters }));
+      searchLabels.push(key);
     }
-  } else {
-    // English query or translation failed: original behavior
-    searches.push(searchPubMed(queryParts)); searchLabels.push('pubmed');
-    searches.push(searchJStage(jaText));     searchLabels.push('jstage');
-    searches.push(searchS2(jaText));         searchLabels.push('s2');
-    searches.push(searchOpenAlex(jaText));   searchLabels.push('openalex');
-    searches.push(searchCiNii(jaText));      searchLabels.push('cinii');
-    searches.push(searchEPMC(jaText));       searchLabels.push('epmc');
   }
-
-  // Additional sources: Cochrane, DOAJ, ClinicalTrials.gov
-  // Cochrane uses PubMed API → delay 2s to avoid PubMed rate limit collision
-  const cochraneTerms = isJaQuery && translatedParts?.length ? enParts : queryParts;
-  searches.push(delay(2000).then(() => searchCochrane(cochraneTerms))); searchLabels.push('cochrane');
-  searches.push(searchDOAJ(jaText)); searchLabels.push('doaj');
-  if (isJaQuery && translatedParts?.length) {
-    searches.push(searchDOAJ(enText)); searchLabels.push('doaj');
+  if (emit) {
+    // Batches per source (a source may be queried in both languages)
+    const batches = {};
+    for (const key of searchLabels) batches[key] = (batches[key] || 0) + 1;
+    emit({ type: 'start', batches, enabledSources: selectedSources });
   }
 
   // ClinicalTrials.gov (separate: different data type)
-  const ctQuery = isJaQuery && translatedParts?.length ? enText : jaText;
-  const ctPromise = searchClinicalTrials(ctQuery).catch(() => []);
-
-  const settled = await Promise.allSettled(searches);
+  const ctQuery = renderQuery(isJaQuery && translated ? translated : original, 'boolean');
+  const ctPromise = callSource('clinicaltrials', () => searchClinicalTrials(ctQuery)).catch(() => []);
+  if (emit) ctPromise.then(clinicalTrials => emit({ type: 'clinicalTrials', clinicalTrials }));
+
+  // National guidelines / Clinical Questions local search (with synonym expansion).
+  // Nothing found: retry with misspelled terms corrected (osteoarthritus → osteoarthritis).
+  // Corrections cost a lexicon scan per term, so they are only computed once something is empty.
+  let corrections = null;
+  const misspellings = () => corrections ||= spellingCorrections(queryParts);
+  let nationalGL = searchNationalGuidelines(expandedParts, translatedParts);
+  let clinicalQuestions = applyCQFilters(searchClinicalQuestions(expandedParts, translatedParts), cqFilters);
+  if (!nationalGL.length && !clinicalQuestions.length && misspellings().length) {
+    const correctedParts = expandSynonyms(applyCorrections(queryParts, misspellings()));
+    nationalGL = searchNationalGuidelines(correctedParts, translatedParts);
+    clinicalQuestions = applyCQFilters(searchClinicalQuestions(correctedParts, translatedParts), cqFilters);
+  }
+  emit?.({ type: 'local', nationalGuidelines: nationalGL, clinicalQuestions });
 
-  // Collect all results and errors
-  const allResults = [];
+  // Smart dedup & merge, then enforce filters sources couldn't apply natively.
+  // Each batch is merged once into the records so far; snapshots score copies.
+  const merger = resultMerger(selectedSources);
   const sourceErrors = {};
-  for (let i = 0; i < settled.length; i++) {
-    const s = settled[i];
-    const label = searchLabels[i];
-    if (s.status === 'rejected') {
-      if (!sourceErrors[label]) sourceErrors[label] = s.reason?.message;
-    } else {
-      allResults.push(...s.value);
+  const mergeResults = () => {
+    const kept = applyResultFilters(merger.results, filters);
+    const results = scoreResults(kept.map(r => ({ ...r })), queryTree, translatedTree,
+      { boost: boostTree, translatedBoost });
+    return { results, sourceCounts: { ...merger.sourceCounts }, filtered: merger.results.length - results.length };
+  };
+
+  // Collect results and errors as each source finishes
+  await Promise.all(searches.map((search, i) => search.then(
+    batch => {
+      merger.add(batch);
+      if (!emit) return;
+      emit({ type: 'source', source: searchLabels[i], count: batch.length });
+      const { results, sourceCounts } = mergeResults();
+      emit({ type: 'merge', totalCount: results.length, results: groupByEvidence(results, sort), sources: sourceCounts });
+    },
+    err => {
+      const label = searchLabels[i];
+      if (!sourceErrors[label]) sourceErrors[label] = err?.message;
+      emit?.({ type: 'source', source: label, count: 0, error: err?.message });
+    },
+  )));
+
+  const { results, sourceCounts, filtered } = mergeResults();
+  sourceCounts.nationalGL = nationalGL.length;
+  sourceCounts.clinicalQuestions = clinicalQuestions.length;
+
+  // ClinicalTrials.gov results
+  const clinicalTrials = await ctPromise;
+  sourceCounts.clinicalTrials = clinicalTrials.length;
+
+  return json({
+    query: {
+      disease, treatment, topic,
+      ...(isPico && { pico }),
+      parsed: renderQuery(queryTree, 'text'),
+      ...(boostTree && { boost: renderQuery(boostTree, 'text') }),
+    },
+    segmentation,
+    multilingual: multilingual ? {
+      translated: { disease: translatedDisease, treatment: translatedTreatment, topic: translatedTopic, ...translatedPico },
+    } : null,
+    totalCount: results.length,
+    results: groupByEvidence(results, sort),
+    sort,
+    nationalGuidelines: nationalGL,
+    clinicalQuestions,
+    clinicalTrials,
+    sources: { ...sourceCounts, errors: sourceErrors },
+    enabledSources: selectedSources,
+    filters: filters ? filterReport(filters, selectedSources, filtered) : null,
+    didYouMean: didYouMean(results.length + clinicalTrials.length, misspellings, fields),
+    mesh: meshMode === 'explode' ? {
+      mode: meshMode,
+      applied: [...meshByTerm].map(([term, d]) => ({ term, ui: d.ui, heading: d.heading, treeNumbers: d.treeNumbers })),
+      query: meshTree ? renderQuery(meshTree, 'pubmed') : null,
+    } : null,
+  }, 200, cors);
+}
+
+function applyCorrections(terms, corrections) {
+  const fix = new Map(corrections.map(c => [c.term, c.suggestion]));
+  return terms.map(t => fix.get(t) || t);
+}
+
+// Zero results and misspelled terms → { corrections, fields: { <field>: corrected input } }
+// getCorrections is only called for an empty result.
+function didYouMean(total, getCorrections, fields) {
+  if (total) return null;
+  const corrections = getCorrections();
+  if (!corrections.length) return null;
+  const corrected = {};
+  for (const f of fields) {
+    let value = f.value;
+    for (const c of corrections) value = value.split(c.term).join(c.suggestion);
+    if (value !== f.value) corrected[f.name] = value;
+  }
+  return { corrections, fields: corrected };
+}
+
+// NDJSON variant of /api/search: one JSON event per line as sources finish,
+// ending with { type: 'done', ...same body as /api/search } or { type: 'error' }.
+// Cache hits are sent as a single 'done' event.
+async function handleSearchStream(url, cors, env, ctx) {
+  const store = searchCacheStore(env);
+  const hit = store && await readSearchCache(store, url, cors, env, ctx);
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = event => writer.write(encoder.encode(JSON.stringify(event) + '\n')).catch(() => {});
+  const stream = () => new Response(readable, {
+    headers: { ...cors, 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+
+  if (hit) {
+    send({ type: 'done', ...hit });
+    writer.close().catch(() => {});
+    return stream();
+  }
+
+  // Hold the response until the search has validated its parameters (first event),
+  // so bad requests still get a plain 400
+  let started;
+  const ready = new Promise(resolve => { started = resolve; });
+  const result = handleSearch(url, cors, event => { started(); send(event); });
+  const first = await Promise.race([ready.then(() => null), result]);
+  if (first && first.status !== 200) return first;
+
+  const run = (async () => {
+    try {
+      const res = await result;
+      const data = await res.json();
+      if (store) await storeSearchCache(store, url, env, data);
+      await send({ type: 'done', ...data, cache: { cached: false, stale: false, age: 0, ttl: searchCacheTtl(url, env) } });
+    } catch (e) {
+      console.error('Search stream failed:', e);
+      await send({ type: 'error', error: 'Internal server error' });
+    } finally {
+      writer.close().catch(() => {});
+    }
+  })();
+  if (ctx?.waitUntil) ctx.waitUntil(run);
+  return stream();
+}
+
+// ── Saved Searches & New-Evidence Alerts ─────────────────────
+// Stored in the SAVED_SEARCHES KV namespace as `saved:<id>`, with lastAttemptAt in
+// the key metadata. Each Cron Trigger run (see wrangler.toml) re-runs a small batch
+// through handleSearch — those not tried for SAVED_RUN_INTERVAL, oldest first —
+// since every search fans out to ~20 subrequests. New dedup keys that are SRs/RCTs
+// are queued as newItems until the client marks them as seen. The create response
+// carries a `secret` (returned only then) that changes require as
+// `Authorization: Bearer <secret>`; a counter key enforces SAVED_MAX.
+//   GET    /api/saved?ids=a,b     those searches (without queued items)
+//   POST   /api/saved             { name?, params: { q, sources, filters... } }
+//   GET    /api/saved/:id         one search with its new items
+//   POST   /api/saved/:id/seen    clear the new items (secret)
+//   DELETE /api/saved/:id         (secret)
+
+const SAVED_PREFIX = 'saved:';
+const SAVED_COUNT_KEY = 'saved-count'; // outside SAVED_PREFIX, so list() skips it
+const SAVED_MAX = 200;
+const SAVED_SEEN_MAX = 5000;
+const ALERT_LEVELS = ['sr_ma', 'rct'];
+const ALERT_ITEMS_MAX = 100;
+const SAVED_DROP_PARAMS = ['refresh', 'patientVoice'];
+const SAVED_RUN_BATCH = 2; // per cron run; raise with the SAVED_RUN_BATCH var on paid plans
+const SAVED_RUN_INTERVAL = 23 * 3600 * 1000;
+
+function savedStore(env) {
+  const kv = env.SAVED_SEARCHES;
+  if (!kv) return null;
+  return {
+    get: id => kv.get(SAVED_PREFIX + id, 'json'),
+    put: saved => kv.put(SAVED_PREFIX + saved.id, JSON.stringify(saved), { metadata: { lastAttemptAt: saved.lastAttemptAt || null } }),
+    delete: id => kv.delete(SAVED_PREFIX + id),
+    count: async () => Number(await kv.get(SAVED_COUNT_KEY)) || 0,
+    async addCount(delta) {
+      await kv.put(SAVED_COUNT_KEY, String(Math.max(0, (Number(await kv.get(SAVED_COUNT_KEY)) || 0) + delta)));
+    },
+    // → [{ id, lastAttemptAt }]
+    async list() {
+      const entries = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix: SAVED_PREFIX, cursor });
+        entries.push(...page.keys.map(k => ({ id: k.name.slice(SAVED_PREFIX.length), lastAttemptAt: k.metadata?.lastAttemptAt || null })));
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      return entries;
+    },
+  };
+}
+
+function savedSearchUrl(params) {
+  const url = new URL('https://saved-search.internal/api/search');
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return url;
+}
+
+function publicSaved(saved, { withItems = false } = {}) {
+  const { seen, newItems, secret, ...rest } = saved;
+  return { ...rest, newCount: newItems.length, ...(withItems && { newItems }) };
+}
+
+// Runs the search and diffs it against saved.seen; the first run only records a baseline
+async function runSavedSearch(saved) {
+  // Failed runs count too, so a broken search cannot hold the head of the queue
+  saved.lastAttemptAt = new Date().toISOString();
+  const res = await handleSearch(savedSearchUrl(saved.params), {});
+  const data = await res.json();
+  if (res.status !== 200) throw new Error(data.error || `HTTP ${res.status}`);
+
+  const baseline = !saved.lastRunAt;
+  const seen = new Set(saved.seen);
+  const now = new Date().toISOString();
+  const found = [];
+  for (const level of Object.keys(data.results)) {
+    for (const r of data.results[level]) {
+      const key = dedupKey(r);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!baseline && ALERT_LEVELS.includes(r.evidenceLevel) && !r.retracted) {
+        found.push({ ...r, key, foundAt: now });
+      }
+    }
+  }
+  saved.seen = [...seen].slice(-SAVED_SEEN_MAX);
+  saved.newItems = [...found, ...saved.newItems].slice(0, ALERT_ITEMS_MAX);
+  saved.lastRunAt = now;
+  saved.lastError = null;
+  saved.totalCount = data.totalCount;
+  saved.sourceErrors = data.sources?.errors || {};
+  return found.length;
+}
+
+// Cron entry point: a bounded batch of due searches, never tried (or least recently
+// tried) first, one at a time so NCBI pacing and upstream quotas hold
+async function runSavedSearches(env) {
+  const store = savedStore(env);
+  if (!store) return;
+  configureEutils(env);
+  configureTranslation(env);
+  const batch = Number(env.SAVED_RUN_BATCH) || SAVED_RUN_BATCH;
+  const dueBefore = Date.now() - SAVED_RUN_INTERVAL;
+  const due = (await store.list())
+    .map(e => ({ ...e, at: e.lastAttemptAt ? Date.parse(e.lastAttemptAt) : 0 }))
+    .filter(e => e.at < dueBefore)
+    .sort((a, b) => a.at - b.at)
+    .slice(0, batch);
+  for (const { id } of due) {
+    const saved = await store.get(id);
+    if (!saved) continue;
+    try {
+      await runSavedSearch(saved);
+    } catch (e) {
+      console.error(`Saved search ${id} failed:`, e);
+      saved.lastError = e.message;
+    }
+    await store.put(saved);
+  }
+}
+
+async function handleSavedSearches(request, url, cors, env) {
+  const store = savedStore(env);
+  if (!store) return json({ error: 'Saved searches require the SAVED_SEARCHES KV binding' }, 501, cors);
+  const [, id, action] = url.pathname.match(/^\/api\/saved(?:\/([\w-]+))?(?:\/(seen))?$/) || [];
+
+  if (!id) {
+    if (request.method === 'GET') {
+      // Only the searches the caller holds ids for; there is no listing of all of them
+      const ids = (url.searchParams.get('ids') || '').split(',').map(s => s.trim()).filter(Boolean).slice(0, SAVED_MAX);
+      if (!ids.length) return json({ error: 'ids (comma-separated saved search ids) required' }, 400, cors);
+      const searches = (await Promise.all(ids.map(i => store.get(i)))).filter(Boolean);
+      return json({ searches: searches.map(s => publicSaved(s)) }, 200, cors);
     }
+    if (request.method !== 'POST') return json({ error: 'GET or POST required' }, 405, cors);
+    let body;
+    try { body = await request.json(); } catch { return json({ error: 'Invalid JSON body' }, 400, cors); }
+    const params = {};
+    for (const [k, v] of Object.entries(body?.params || {})) {
+      if (SAVED_DROP_PARAMS.includes(k) || v == null || v === '') continue;
+      params[k] = String(v);
+    }
+    if (!Object.keys(params).length) return json({ error: 'params (search parameters) required' }, 400, cors);
+    if (await store.count() >= SAVED_MAX) {
+      return json({ error: `At most ${SAVED_MAX} saved searches` }, 409, cors);
+    }
+    const saved = {
+      id: crypto.randomUUID(),
+      secret: crypto.randomUUID(),
+      name: String(body.name || params.q || Object.values(params).join(' ')).slice(0, 200),
+      params,
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastError: null,
+      seen: [],
+      newItems: [],
+    };
+    // Baseline run doubles as validation of the parameters
+    try {
+      await runSavedSearch(saved);
+    } catch (e) {
+      return json({ error: e.message }, 400, cors);
+    }
+    await store.put(saved);
+    await store.addCount(1);
+    return json({ ...publicSaved(saved, { withItems: true }), secret: saved.secret }, 201, cors);
+  }
+
+  const saved = await store.get(id);
+  if (!saved) return json({ error: 'Saved search not found' }, 404, cors);
+  const authorized = !!saved.secret && request.headers.get('Authorization') === `Bearer ${saved.secret}`;
+  if (action === 'seen') {
+    if (request.method !== 'POST') return json({ error: 'POST required' }, 405, cors);
+    if (!authorized) return json({ error: 'Saved search secret required' }, 403, cors);
+    saved.newItems = [];
+    await store.put(saved);
+    return json(publicSaved(saved, { withItems: true }), 200, cors);
+  }
+  if (request.method === 'DELETE') {
+    if (!authorized) return json({ error: 'Saved search secret required' }, 403, cors);
+    await store.delete(id);
+    await store.addCount(-1);
+    return json({ deleted: id }, 200, cors);
   }
+  if (request.method !== 'GET') return json({ error: 'GET or DELETE required' }, 405, cors);
+  return json(publicSaved(saved, { withItems: true }), 200, cors);
+}
+
+// ── Feeds (Atom / RSS / JSON Feed) ───────────────────────────
+// /api/feed?<search params>&format=atom|rss|json, or ?saved=<id> for a saved
+// search. Runs through the search cache; entries are newest first and keep the
+// same GUID (from dedupKey) however the upstream order changes.
+
+const FEED_FORMATS = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+const FEED_LIMIT = 50;
+const FEED_LEVEL_LABELS = {
+  guideline: 'Guideline',
+  sr_ma: 'Systematic review / meta-analysis',
+  rct: 'Randomized controlled trial',
+  clinical_trial: 'Clinical trial',
+  observational: 'Observational study',
+  case_report: 'Case report',
+  review: 'Review',
+  other: 'Other',
+};
+
+function xmlEscape(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function feedGuid(r) {
+  return `tag:evidence-navigator,2024:${encodeURIComponent(dedupKey(r))}`;
+}
+
+function feedEntries(data) {
+  return Object.values(data.results || {}).flat()
+    .sort((a, b) => (b.year || 0) - (a.year || 0) || (b.score || 0) - (a.score || 0))
+    .slice(0, FEED_LIMIT)
+    .map(r => {
+      const flags = CORRECTION_FLAGS.filter(f => r[f]);
+      const foundIn = r.foundIn || [r.source];
+      const level = r.evidenceLevel || 'other';
+      return {
+        guid: feedGuid(r),
+        title: (flags.includes('retracted') ? '[Retracted] ' : '') + r.title,
+        url: r.url,
+        doiUrl: r.doi ? `https://doi.org/${r.doi}` : '',
+        pubmedUrl: r.ids?.pmid ? `https://pubmed.ncbi.nlm.nih.gov/${r.ids.pmid}/` : '',
+        authors: r.authors || [],
+        // Only the year is known across sources
+        date: r.year ? new Date(Date.UTC(r.year, 0, 1)) : null,
+        level,
+        levelLabel: FEED_LEVEL_LABELS[level] || level,
+        foundIn,
+        flags,
+        summary: [
+          [r.journal, r.year].filter(Boolean).join(' '),
+          FEED_LEVEL_LABELS[level] || level,
+          `Found in: ${foundIn.join(', ')}`,
+          ...(flags.length ? [`Flags: ${flags.join(', ')}`] : []),
+        ].filter(Boolean).join(' · '),
+      };
+    });
+}
 
-  // Smart dedup & merge
-  const { results, sourceCounts } = deduplicateAndMerge(allResults);
+function renderAtom(feed, entries) {
+  const updated = feed.updated.toISOString();
+  const items = entries.map(e => [
+    '<entry>',
+    `<id>${xmlEscape(e.guid)}</id>`,
+    `<title>${xmlEscape(e.title)}</title>`,
+    `<link rel="alternate" href="${xmlEscape(e.url)}"/>`,
+    e.doiUrl && e.doiUrl !== e.url && `<link rel="related" title="DOI" href="${xmlEscape(e.doiUrl)}"/>`,
+    e.pubmedUrl && e.pubmedUrl !== e.url && `<link rel="related" title="PubMed" href="${xmlEscape(e.pubmedUrl)}"/>`,
+    `<updated>${(e.date || feed.updated).toISOString()}</updated>`,
+    ...e.authors.map(a => `<author><name>${xmlEscape(a)}</name></author>`),
+    `<category term="${xmlEscape(e.level)}" label="${xmlEscape(e.levelLabel)}"/>`,
+    ...e.foundIn.map(s => `<category term="${xmlEscape(s)}" scheme="${xmlEscape(feed.site)}/#source"/>`),
+    `<summary>${xmlEscape(e.summary)}</summary>`,
+    '</entry>',
+  ].filter(Boolean).join('\n')).join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<id>${xmlEscape(feed.self)}</id>
+<title>${xmlEscape(feed.title)}</title>
+<link rel="self" href="${xmlEscape(feed.self)}"/>
+<link rel="alternate" href="${xmlEscape(feed.home)}"/>
+<updated>${updated}</updated>
+<author><name>Evidence Navigator</name></author>
+${items}
+</feed>
+`;
+}
 
-  // National guidelines local search (with synonym expansion)
-  const nationalGL = searchNationalGuidelines(expandedParts, translatedParts);
-  sourceCounts.nationalGL = nationalGL.length;
+function renderRss(feed, entries) {
+  const items = entries.map(e => [
+    '<item>',
+    `<title>${xmlEscape(e.title)}</title>`,
+    `<link>${xmlEscape(e.url)}</link>`,
+    `<guid isPermaLink="false">${xmlEscape(e.guid)}</guid>`,
+    e.date && `<pubDate>${e.date.toUTCString()}</pubDate>`,
+    ...e.authors.map(a => `<dc:creator>${xmlEscape(a)}</dc:creator>`),
+    `<category domain="evidence-level">${xmlEscape(e.levelLabel)}</category>`,
+    ...e.foundIn.map(s => `<category domain="source">${xmlEscape(s)}</category>`),
+    `<description>${xmlEscape([e.summary, e.doiUrl && `DOI: ${e.doiUrl}`, e.pubmedUrl && `PubMed: ${e.pubmedUrl}`].filter(Boolean).join('\n'))}</description>`,
+    '</item>',
+  ].filter(Boolean).join('\n')).join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>${xmlEscape(feed.title)}</title>
+<link>${xmlEscape(feed.home)}</link>
+<description>${xmlEscape(feed.description)}</description>
+<atom:link rel="self" type="application/rss+xml" href="${xmlEscape(feed.self)}"/>
+<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items}
+</channel>
+</rss>
+`;
+}
 
-  // Clinical Questions local search (with synonym expansion)
-  const clinicalQuestions = searchClinicalQuestions(expandedParts, translatedParts);
-  sourceCounts.clinicalQuestions = clinicalQuestions.length;
+function renderJsonFeed(feed, entries) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.home,
+    feed_url: feed.self,
+    description: feed.description,
+    items: entries.map(e => ({
+      id: e.guid,
+      url: e.url,
+      ...(e.doiUrl && { external_url: e.doiUrl }),
+      title: e.title,
+      content_text: e.summary,
+      ...(e.date && { date_published: e.date.toISOString() }),
+      authors: e.authors.map(name => ({ name })),
+      tags: [e.levelLabel, ...e.foundIn],
+      _evidence: {
+        level: e.level,
+        found_in: e.foundIn,
+        doi_url: e.doiUrl || null,
+        pubmed_url: e.pubmedUrl || null,
+        flags: e.flags,
+      },
+    })),
+  });
+}
 
-  // ClinicalTrials.gov results
-  const clinicalTrials = await ctPromise;
-  sourceCounts.clinicalTrials = clinicalTrials.length;
+async function handleFeed(url, cors, env, ctx) {
+  const format = url.searchParams.get('format') || 'atom';
+  if (!FEED_FORMATS[format]) {
+    return json({ error: `format must be one of: ${Object.keys(FEED_FORMATS).join(', ')}` }, 400, cors);
+  }
 
-  return json({
-    query: { disease, treatment, topic },
-    multilingual: multilingual ? {
-      translated: { disease: translatedDisease, treatment: translatedTreatment, topic: translatedTopic },
-    } : null,
-    totalCount: results.length,
-    results: groupByEvidence(results),
-    nationalGuidelines: nationalGL,
-    clinicalQuestions,
-    clinicalTrials,
-    sources: { ...sourceCounts, errors: sourceErrors },
-  }, 200, cors);
+  let searchUrl;
+  let title;
+  const savedId = url.searchParams.get('saved');
+  if (savedId) {
+    const store = savedStore(env);
+    if (!store) return json({ error: 'Saved searches require the SAVED_SEARCHES KV binding' }, 501, cors);
+    const saved = await store.get(savedId);
+    if (!saved) return json({ error: 'Saved search not found' }, 404, cors);
+    searchUrl = savedSearchUrl(saved.params);
+    title = saved.name;
+  } else {
+    searchUrl = new URL(url);
+    searchUrl.pathname = '/api/search';
+    searchUrl.searchParams.delete('format');
+    searchUrl.searchParams.delete('patientVoice');
+  }
+
+  const res = await handleCachedSearch(searchUrl, cors, env, ctx);
+  const data = await res.json();
+  if (res.status !== 200) return json(data, res.status, cors);
+
+  const query = data.query?.parsed || '';
+  const homeParams = new URLSearchParams(searchUrl.searchParams);
+  homeParams.delete(CACHE_BYPASS_PARAM);
+  const site = env.SITE_URL || ALLOWED_ORIGINS[0];
+  const feed = {
+    title: `Evidence Navigator: ${title || query}`,
+    description: `Evidence for ${query}, newest first`,
+    site,
+    home: `${site}/?${homeParams}`,
+    self: url.toString(),
+    updated: new Date(),
+  };
+  const entries = feedEntries(data);
+  const body = format === 'atom' ? renderAtom(feed, entries)
+    : format === 'rss' ? renderRss(feed, entries)
+      : renderJsonFeed(feed, entries);
+  return new Response(body, {
+    headers: { 'Content-Type': FEED_FORMATS[format], 'X-Content-Type-Options': 'nosniff', ...cors },
+  });
 }
 
 // ── Translation ──────────────────────────────────────────────
+// Dictionary first: a short query term the thesaurus covers completely is
+// translated segment by segment (変形性膝関節症運動療法 → 変形性膝関節症 + 運動療法
+// → "knee osteoarthritis exercise therapy"); particles and stopwords between
+// concepts are dropped. Sentences and anything with gaps go to the remote backend
+// as one string, cached in the TRANSLATION_CACHE KV namespace when bound (else per
+// isolate, in memory). If the backend fails, the dictionary concepts alone are
+// used; no concept at all → null.
+//
+// Backend = { name, translate(text, srcLang, tgtLang) → string | null }.
+// env.TRANSLATOR selects one of TRANSLATION_BACKENDS by key ('mymemory' by default,
+// 'none' = dictionary only), or is itself a backend object (a local stand-in in tests).
+
+const TRANSLATION_CACHE_TTL = 30 * 86400;
+const TRANSLATION_MEMORY_MAX = 500;
+const TRANSLATION_TERM_MAX_WORDS = 6;
+const EN_FILLER = new Set(['a', 'an', 'the', 'of', 'for', 'in', 'on', 'to', 'with', 'and', 'or', 'by', 'after', 'among', 'versus', 'vs']);
+
+const TRANSLATION_BACKENDS = {
+  mymemory: { name: 'MyMemory', translate: translateMyMemory },
+  none: { name: 'none', translate: async () => null },
+};
+
+let translationBackend = TRANSLATION_BACKENDS.mymemory;
+let translationKV = null;
+let myMemoryEmail = '';
+const translationMemory = new Map();
+
+function configureTranslation(env) {
+  const t = env.TRANSLATOR;
+  translationBackend = typeof t?.translate === 'function' ? t : TRANSLATION_BACKENDS[t] || TRANSLATION_BACKENDS.mymemory;
+  translationKV = env.TRANSLATION_CACHE || null;
+  myMemoryEmail = env.MYMEMORY_EMAIL || '';
+}
 
 function isJapanese(text) {
   return /[\u3000-\u9FFF\uF900-\uFAFF]/.test(text);
 }
 
-async function translate(text, srcLang, tgtLang) {
-  // Step 1: Try SYN_MAP first (instant, no API call)
-  if (srcLang === 'ja' && tgtLang === 'en') {
-    const syns = SYN_MAP.get(text.toLowerCase()) || SYN_MAP.get(text);
-    if (syns) {
-      const en = [...syns].find(s => /^[A-Za-z]/.test(s) && s.length > 1);
-      if (en) return en;
+// Longest thesaurus term (characters / words), bounding the match window
+const MAX_TERM_CHARS = Math.max(...[...CONCEPTS_BY_TERM.keys()].map(k => k.length));
+const MAX_TERM_WORDS = Math.max(...[...CONCEPTS_BY_TERM.keys()].map(k => k.split(' ').length));
+
+// English text → segments over word windows; stopwords between concepts are dropped
+function segmentEnglish(text) {
+  const words = text.split(/\s+/).map(w => w.replace(/^[("'[]+|[)"',.;:\]]+$/g, '')).filter(Boolean);
+  const segments = [];
+  let pending = [];
+  const flush = () => {
+    if (pending.length) segments.push({ text: pending.join(' '), concept: null });
+    pending = [];
+  };
+  let i = 0;
+  while (i < words.length) {
+    let len = Math.min(MAX_TERM_WORDS, words.length - i);
+    let concept = null;
+    for (; len > 0; len--) {
+      concept = lookupConcepts(words.slice(i, i + len).join(' '))[0];
+      if (concept) break;
     }
-  } else if (srcLang === 'en' && tgtLang === 'ja') {
-    const syns = SYN_MAP.get(text.toLowerCase()) || SYN_MAP.get(text);
-    if (syns) {
-      const ja = [...syns].find(s => /[\u3000-\u9FFF]/.test(s));
-      if (ja) return ja;
+    if (concept) {
+      flush();
+      segments.push({ text: words.slice(i, i + len).join(' '), concept });
+      i += len;
+    } else {
+      if (!EN_FILLER.has(words[i].toLowerCase())) pending.push(words[i]);
+      else flush();
+      i++;
     }
   }
-  // Step 2: MyMemory API
+  flush();
+  return segments;
+}
+
+// Remote backend behind the KV / in-memory cache; null results are not cached
+async function remoteTranslate(text, srcLang, tgtLang) {
+  const key = `tr:${translationBackend.name}:${srcLang}:${tgtLang}:${text}`;
+  if (translationMemory.has(key)) return { text: translationMemory.get(key), via: 'cache' };
+  const cached = translationKV && await translationKV.get(key).catch(() => null);
+  const remember = value => {
+    translationMemory.set(key, value);
+    if (translationMemory.size > TRANSLATION_MEMORY_MAX) translationMemory.delete(translationMemory.keys().next().value);
+  };
+  if (cached) {
+    remember(cached);
+    return { text: cached, via: 'cache' };
+  }
+  const translated = await translationBackend.translate(text, srcLang, tgtLang).catch(() => null);
+  if (!translated) return { text: null, via: translationBackend.name };
+  remember(translated);
+  await translationKV?.put(key, translated, { expirationTtl: TRANSLATION_CACHE_TTL }).catch(() => {});
+  return { text: translated, via: translationBackend.name };
+}
+
+// Sentence punctuation, or more words than a query term has
+function isSentence(text) {
+  return /[。？！?!]|\.(\s|$)/.test(text) || text.split(/\s+/).length > TRANSLATION_TERM_MAX_WORDS;
+}
+
+// → { text | null, segments: [{ text, translation, concept, via }] }
+async function translateDetailed(text, srcLang, tgtLang) {
+  const input = text.trim();
+  const segments = srcLang === 'ja'
+    ? segmentJapanese(input, key => lookupConcepts(key)[0], MAX_TERM_CHARS).map(s => ({ text: s.text, concept: s.entry }))
+    : segmentEnglish(input);
+  const dictionary = segments.filter(s => s.concept)
+    .map(s => ({ text: s.text, translation: s.concept[tgtLang], concept: s.concept.id, via: 'dictionary' }));
+  const result = out => {
+    const joined = [...new Set(out.map(s => s.translation).filter(Boolean))].join(' ');
+    return { text: joined && joined.toLowerCase() !== input.toLowerCase() ? joined : null, segments: out };
+  };
+  if (dictionary.length && dictionary.length === segments.length && !isSentence(input)) return result(dictionary);
+
+  const remote = await remoteTranslate(input, srcLang, tgtLang);
+  if (remote.text) return result([{ text: input, translation: remote.text, concept: null, via: remote.via }]);
+  return result(dictionary);
+}
+
+async function translate(text, srcLang, tgtLang) {
+  return (await translateDetailed(text, srcLang, tgtLang)).text;
+}
+
+async function translateMyMemory(text, srcLang, tgtLang) {
   try {
     const langpair = `${srcLang}|${tgtLang}`;
-    const url = `${MYMEMORY}?q=${encodeURIComponent(text)}&langpair=${langpair}&de=evidence.navigator@gmail.com`;
+    const url = `${MYMEMORY}?q=${encodeURIComponent(text)}&langpair=${langpair}` +
+      (myMemoryEmail ? `&de=${encodeURIComponent(myMemoryEmail)}` : '');
     const res = await fetch(url, { signal: AbortSignal.timeout(5000) });
     const data = await res.json();
     let translated = data?.responseData?.translatedText || '';
@@ -694,61 +2777,165 @@ async function handleTranslate(url, cors) {
   if (!text) return json({ error: 'text required' }, 400, cors);
   const tgtLang = isJapanese(text) ? 'en' : 'ja';
   const srcLang = isJapanese(text) ? 'ja' : 'en';
-  const result = await translate(text, srcLang, tgtLang);
-  return json({ text: result || '', src: srcLang, tgt: tgtLang }, 200, cors);
+  const result = await translateDetailed(text, srcLang, tgtLang);
+  return json({ text: result.text || '', src: srcLang, tgt: tgtLang, segments: result.segments }, 200, cors);
 }
 
-// ── PubMed ────────────────────────────────────────────────────
+// ── NCBI E-utilities Client ──────────────────────────────────
+// Every E-utilities call (PubMed, Cochrane, CQ evidence, article detail) goes
+// through one paced queue: 3 requests/s, or 10/s with the NCBI_API_KEY secret.
+// 429s are retried with exponential back-off plus jitter. esummary requests
+// that queue up while waiting for a slot are sent as one batch.
+
+const EUTILS_RATE = 3;
+const EUTILS_RATE_WITH_KEY = 10;
+const EUTILS_MAX_RETRIES = 3;
+const EUTILS_RETRY_BASE = 1000;
+let ncbiApiKey = '';
+let eutilsNextSlot = 0;
+let pendingSummaries = [];
+
+function configureEutils(env) {
+  ncbiApiKey = env.NCBI_API_KEY || '';
+}
+
+// Resolves when this request may go out; slots are handed out in call order
+function eutilsSlot() {
+  const now = Date.now();
+  const at = Math.max(now, eutilsNextSlot);
+  eutilsNextSlot = at + 1000 / (ncbiApiKey ? EUTILS_RATE_WITH_KEY : EUTILS_RATE);
+  return at > now ? delay(at - now) : Promise.resolve();
+}
+
+// params: object, or () => object evaluated once the first slot is granted.
+// Long parameter lists (method 'POST') go in the body instead of the URL.
+async function eutils(util, params, { label = 'PubMed', format = 'json', method = 'GET' } = {}) {
+  let query = null;
+  for (let attempt = 0; ; attempt++) {
+    await eutilsSlot();
+    if (!query) {
+      query = new URLSearchParams({
+        ...(typeof params === 'function' ? params() : params),
+        ...(format === 'json' && { retmode: 'json' }),
+        tool: 'evidence-navigator',
+        email: 'evidence-navigator@example.com',
+        ...(ncbiApiKey && { api_key: ncbiApiKey }),
+      });
+    }
+    const url = `${PUBMED_BASE}/${util}.fcgi`;
+    const res = method === 'POST'
+      ? await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: query.toString(),
+        signal: AbortSignal.timeout(8000),
+      })
+      : await fetch(`${url}?${query}`, { signal: AbortSignal.timeout(8000) });
+
+    if (res.status === 429 && attempt < EUTILS_MAX_RETRIES) {
+      const retryAfter = Number(res.headers.get('Retry-After')) * 1000;
+      await delay((retryAfter || EUTILS_RETRY_BASE * 2 ** attempt) + Math.random() * EUTILS_RETRY_BASE);
+      continue;
+    }
+    if (!res.ok) throw new Error(`${label} ${util} HTTP ${res.status}`);
+    return format === 'json' ? res.json() : res.text();
+  }
+}
+
+// Summaries keyed by PMID. Requests queued together share one esummary call;
+// a lone request reads its esearch result from the history server instead.
+// label names the calling source in errors.
+function eutilsSummaries(ids, history, label = 'PubMed') {
+  return new Promise((resolve, reject) => {
+    pendingSummaries.push({ ids, history, label, resolve, reject });
+    if (pendingSummaries.length === 1) flushSummaries();
+  });
+}
 
-async function searchPubMed(queryParts) {
-  const query = queryParts.join(' AND ');
+async function flushSummaries() {
+  let batch = null;
+  const params = () => {
+    batch = pendingSummaries;
+    pendingSummaries = [];
+    if (batch.length === 1 && batch[0].history?.webenv) {
+      const { ids, history } = batch[0];
+      return { db: 'pubmed', WebEnv: history.webenv, query_key: history.queryKey, retstart: 0, retmax: ids.length };
+    }
+    return { db: 'pubmed', id: [...new Set(batch.flatMap(b => b.ids))].join(',') };
+  };
+  try {
+    const data = await eutils('esummary', params, { method: 'POST' });
+    for (const b of batch) {
+      b.resolve(Object.fromEntries(b.ids.map(id => [id, data?.result?.[id]])));
+    }
+  } catch (e) {
+    // One call may serve several sources: HTTP errors are relabeled per caller
+    const http = / esummary (HTTP \d+)$/.exec(e?.message || '');
+    for (const b of batch) b.reject(http ? new Error(`${b.label} esummary ${http[1]}`) : e);
+  }
+}
 
-  // Step 1: esearch → PMIDs
-  const searchUrl =
-    `${PUBMED_BASE}/esearch.fcgi?db=pubmed` +
-    `&term=${encodeURIComponent(query)}` +
-    `&retmax=50&retmode=json&sort=relevance` +
-    `&tool=evidence-navigator&email=evidence-navigator@example.com`;
+// ── PubMed ────────────────────────────────────────────────────
 
-  const searchRes = await fetch(searchUrl, { signal: AbortSignal.timeout(8000) });
-  if (!searchRes.ok) throw new Error(`PubMed search HTTP ${searchRes.status}`);
-  const searchData = await searchRes.json();
-  const ids = searchData?.esearchresult?.idlist || [];
+// esearch (history server) → esummary, returns summary records in relevance order
+async function fetchPubMedSummaries(term, retmax, label) {
+  const search = await eutils('esearch', {
+    db: 'pubmed', term, retmax, sort: 'relevance', usehistory: 'y',
+  }, { label });
+  const result = search?.esearchresult || {};
+  const ids = result.idlist || [];
   if (!ids.length) return [];
 
-  // Step 2: esummary → article details
-  const sumUrl =
-    `${PUBMED_BASE}/esummary.fcgi?db=pubmed` +
-    `&id=${ids.join(',')}` +
-    `&retmode=json` +
-    `&tool=evidence-navigator&email=evidence-navigator@example.com`;
-
-  const sumRes = await fetch(sumUrl, { signal: AbortSignal.timeout(8000) });
-  if (!sumRes.ok) throw new Error(`PubMed summary HTTP ${sumRes.status}`);
-  const sumData = await sumRes.json();
-
-  const articles = [];
-  for (const id of ids) {
-    const a = sumData?.result?.[id];
-    if (!a || !a.title) continue;
-
-    const pubTypes = a.pubtype || [];
-    const doi = (a.articleids || []).find(x => x.idtype === 'doi')?.value || '';
-
-    articles.push({
-      id: `pm-${id}`,
-      title: strip(a.title),
-      authors: (a.authors || []).map(x => x.name).slice(0, 5),
-      journal: a.source || '',
-      year: yearOf(a.pubdate || ''),
-      pubTypes,
-      evidenceLevel: classifyPubType(pubTypes),
-      doi,
-      url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
-      source: 'PubMed',
-    });
+  const summaries = await eutilsSummaries(ids, { webenv: result.webenv, queryKey: result.querykey }, label);
+  return ids.map(id => summaries[id]).filter(a => a && a.title);
+}
+
+async function fetchPubMed(term, { limit = 50, filters } = {}) {
+  return fetchPubMedSummaries(pubmedFilterTerm(term, filters, true), limit, 'PubMed');
+}
+
+const PUBMED_LANG = { ja: 'japanese', en: 'english' };
+const PUBMED_LEVEL_PT = {
+  guideline: '(guideline[pt] OR practice guideline[pt])',
+  sr_ma: '(systematic review[pt] OR meta-analysis[pt])',
+  rct: 'randomized controlled trial[pt]',
+  clinical_trial: 'clinical trial[pt]',
+  observational: 'observational study[pt]',
+  case_report: 'case reports[pt]',
+  review: 'review[pt]',
+};
+
+// Append [dp]/[la]/[sb]/[pt] limits to an E-utilities term
+function pubmedFilterTerm(term, f, withLevels) {
+  if (!f) return term;
+  const limits = [];
+  if (f.yearFrom || f.yearTo) limits.push(`("${f.yearFrom || 1800}"[dp] : "${f.yearTo || 3000}"[dp])`);
+  if (f.lang) limits.push(`(${f.lang.map(l => `${PUBMED_LANG[l]}[la]`).join(' OR ')})`);
+  if (f.oa) limits.push('"free full text"[sb]');
+  if (withLevels && f.levels && f.levels.every(l => PUBMED_LEVEL_PT[l])) {
+    limits.push(`(${f.levels.map(l => PUBMED_LEVEL_PT[l]).join(' OR ')})`);
   }
-  return articles;
+  return limits.length ? `(${term}) AND ${limits.join(' AND ')}` : term;
+}
+
+function normalizePubMed(a) {
+  const id = a.uid;
+  const articleId = type => (a.articleids || []).find(x => x.idtype === type)?.value || '';
+  return {
+    id: `pm-${id}`,
+    ids: articleIds({ pmid: id, pmcid: articleId('pmc'), doi: articleId('doi') }),
+    title: strip(a.title),
+    authors: (a.authors || []).map(x => x.name).slice(0, 5),
+    journal: a.source || '',
+    year: yearOf(a.pubdate || ''),
+    pubTypes: a.pubtype || [],
+    doi: articleId('doi'),
+    url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
+    source: 'PubMed',
+    language: langCode((a.lang || [])[0]),
+    ...(articleId('pmc') && { openAccess: true }),
+    ...correctionFlags({ pubTypes: a.pubtype }),
+  };
 }
 
 function strip(s) {
@@ -760,6 +2947,14 @@ function yearOf(s) {
   return m ? parseInt(m[1]) : null;
 }
 
+// ISO 639-2 ("eng", "jpn") / 639-1 → 639-1, '' when unknown
+function langCode(s) {
+  const l = (s || '').toLowerCase();
+  if (l === 'eng' || l === 'en') return 'en';
+  if (l === 'jpn' || l === 'ja') return 'ja';
+  return l.length === 2 ? l : '';
+}
+
 function classifyPubType(pubTypes) {
   const t = pubTypes.map(s => s.toLowerCase());
   if (t.some(s => s.includes('practice guideline') || s === 'guideline')) return 'guideline';
@@ -775,56 +2970,56 @@ function classifyPubType(pubTypes) {
 
 // ── J-STAGE ───────────────────────────────────────────────────
 
-async function searchJStage(query) {
-  const url =
+async function fetchJStage(text, { limit = 20, filters } = {}) {
+  let url =
     `${JSTAGE_BASE}?service=3` +
-    `&keyword=${encodeURIComponent(query)}` +
-    `&count=20`;
+    `&keyword=${encodeURIComponent(text)}` +
+    `&count=${limit}`;
+  if (filters?.yearFrom) url += `&pubyearfrom=${filters.yearFrom}`;
+  if (filters?.yearTo) url += `&pubyearto=${filters.yearTo}`;
 
   const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
   if (!res.ok) throw new Error(`J-STAGE HTTP ${res.status}`);
   const xml = await res.text();
-  return parseJStageXml(xml);
+  return xml.split('<entry>').slice(1);
 }
 
-function parseJStageXml(xml) {
-  const results = [];
-  const entries = xml.split('<entry>').slice(1);
-
-  for (const entry of entries) {
-    // J-STAGE uses <article_title><ja>...</ja></article_title> and <title> at bottom
-    const title = xmlNestedTag(entry, 'article_title', 'ja') || xmlTag(entry, 'title');
-    const link = xmlNestedTag(entry, 'article_link', 'ja')
-      || xmlNestedTag(entry, 'article_link', 'en')
-      || xmlAttr(entry, 'link', 'href');
-    // Prefer Japanese author names: <author><ja><name>...</name></ja></author>
-    const authorBlock = xmlTag(entry, 'author');
-    const jaAuthorBlock = authorBlock ? xmlTag(authorBlock, 'ja') : '';
-    const enAuthorBlock = authorBlock ? xmlTag(authorBlock, 'en') : '';
-    const authors = xmlAllCdata(jaAuthorBlock || enAuthorBlock || authorBlock || '', 'name');
-    // Journal: <material_title><ja>...</ja></material_title>
-    const journal = xmlNestedCdata(entry, 'material_title', 'ja')
-      || xmlTag(entry, 'prism:publicationName');
-    // Year: <pubyear>YYYY</pubyear>
-    const year = xmlTag(entry, 'pubyear');
-    const doi = xmlTag(entry, 'prism:doi');
-
-    if (!title) continue;
-
-    results.push({
-      id: `js-${doi || Math.random().toString(36).slice(2, 8)}`,
-      title: strip(title),
-      authors: dedupAuthors(authors).slice(0, 5),
-      journal: strip(journal || ''),
-      year: year ? parseInt(year) : null,
-      pubTypes: [],
-      evidenceLevel: classifyByTitle(title),
-      doi: doi || '',
-      url: link || (doi ? `https://doi.org/${doi}` : ''),
-      source: 'J-STAGE',
-    });
-  }
-  return results;
+function normalizeJStage(entry) {
+  // J-STAGE uses <article_title><ja>...</ja></article_title> and <title> at bottom
+  const title = xmlNestedTag(entry, 'article_title', 'ja') || xmlTag(entry, 'title');
+  if (!title) return null;
+  const enTitle = xmlNestedTag(entry, 'article_title', 'en');
+  const link = xmlNestedTag(entry, 'article_link', 'ja')
+    || xmlNestedTag(entry, 'article_link', 'en')
+    || xmlAttr(entry, 'link', 'href');
+  // Prefer Japanese author names: <author><ja><name>...</name></ja></author>
+  const authorBlock = xmlTag(entry, 'author');
+  const jaAuthorBlock = authorBlock ? xmlTag(authorBlock, 'ja') : '';
+  const enAuthorBlock = authorBlock ? xmlTag(authorBlock, 'en') : '';
+  const authors = xmlAllCdata(jaAuthorBlock || enAuthorBlock || authorBlock || '', 'name');
+  // Journal: <material_title><ja>...</ja></material_title>
+  const journal = xmlNestedCdata(entry, 'material_title', 'ja')
+    || xmlTag(entry, 'prism:publicationName');
+  // Year: <pubyear>YYYY</pubyear>
+  const year = xmlTag(entry, 'pubyear');
+  const doi = xmlTag(entry, 'prism:doi');
+
+  // Article path (journal/volume/issue/article) identifies the record without a DOI
+  const jstageId = (link.match(/\/article\/(.+?)\/_article/) || [])[1] || '';
+
+  return {
+    id: `js-${doi || Math.random().toString(36).slice(2, 8)}`,
+    ids: articleIds({ doi, jstage: jstageId }),
+    title: strip(title),
+    ...(enTitle && strip(enTitle) !== strip(title) && { altTitles: [strip(enTitle)] }),
+    authors: dedupAuthors(authors).slice(0, 5),
+    journal: strip(journal || ''),
+    year: year ? parseInt(year) : null,
+    pubTypes: [],
+    doi: doi || '',
+    url: link || (doi ? `https://doi.org/${doi}` : ''),
+    source: 'J-STAGE',
+  };
 }
 
 function dedupAuthors(arr) {
@@ -867,10 +3062,14 @@ function xmlAttr(xml, tagName, attrName) {
 
 // ── Semantic Scholar ──────────────────────────────────────────
 
-async function searchS2(query) {
-  const url =
-    `${S2_BASE}?query=${encodeURIComponent(query)}` +
-    `&limit=20&fields=paperId,title,authors,year,venue,publicationTypes,externalIds,citationCount`;
+const S2_FIELDS = 'paperId,title,abstract,authors,year,venue,publicationTypes,externalIds,citationCount,isOpenAccess';
+
+async function fetchS2(text, { limit = 20, filters } = {}) {
+  let url =
+    `${S2_BASE}?query=${encodeURIComponent(text)}` +
+    `&limit=${limit}&fields=${S2_FIELDS}`;
+  if (filters?.yearFrom || filters?.yearTo) url += `&year=${filters.yearFrom || ''}-${filters.yearTo || ''}`;
+  if (filters?.oa) url += '&openAccessPdf';
 
   const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
   if (!res.ok) {
@@ -878,28 +3077,31 @@ async function searchS2(query) {
     throw new Error(`S2 HTTP ${res.status}`);
   }
   const data = await res.json();
+  return data?.data || [];
+}
 
-  return (data?.data || []).map(p => {
-    const doi = p.externalIds?.DOI || '';
-    const pmid = p.externalIds?.PubMed || '';
-    return {
-      id: `s2-${p.paperId}`,
-      title: p.title || '',
-      authors: (p.authors || []).map(a => a.name).slice(0, 5),
-      journal: p.venue || '',
-      year: p.year || null,
-      pubTypes: p.publicationTypes || [],
-      evidenceLevel: classifyS2Type(p.publicationTypes, p.title),
-      doi,
-      url: pmid
-        ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`
-        : doi
-          ? `https://doi.org/${doi}`
-          : `https://www.semanticscholar.org/paper/${p.paperId}`,
-      source: 'Semantic Scholar',
-      citations: p.citationCount || 0,
-    };
-  });
+function normalizeS2(p) {
+  const doi = p.externalIds?.DOI || '';
+  const pmid = p.externalIds?.PubMed || '';
+  return {
+    id: `s2-${p.paperId}`,
+    ids: articleIds({ doi, pmid, pmcid: p.externalIds?.PubMedCentral }),
+    title: p.title || '',
+    abstract: p.abstract || '',
+    authors: (p.authors || []).map(a => a.name).slice(0, 5),
+    journal: p.venue || '',
+    year: p.year || null,
+    pubTypes: p.publicationTypes || [],
+    doi,
+    url: pmid
+      ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`
+      : doi
+        ? `https://doi.org/${doi}`
+        : `https://www.semanticscholar.org/paper/${p.paperId}`,
+    source: 'Semantic Scholar',
+    citations: p.citationCount || 0,
+    ...(p.isOpenAccess && { openAccess: true }),
+  };
 }
 
 function classifyS2Type(types, title) {
@@ -915,35 +3117,62 @@ function classifyS2Type(types, title) {
 
 // ── OpenAlex ─────────────────────────────────────────────────
 
-async function searchOpenAlex(query) {
+const OPENALEX_FIELDS =
+  'id,ids,title,abstract_inverted_index,authorships,publication_year,type,doi,primary_location,cited_by_count,language,open_access,is_retracted';
+
+async function fetchOpenAlex(text, { limit = 20, filters } = {}) {
+  const oaFilters = [];
+  if (filters?.yearFrom || filters?.yearTo) oaFilters.push(`publication_year:${filters.yearFrom || ''}-${filters.yearTo || ''}`);
+  if (filters?.lang) oaFilters.push(`language:${filters.lang.join('|')}`);
+  if (filters?.oa) oaFilters.push('is_oa:true');
   const url =
-    `${OPENALEX_BASE}?search=${encodeURIComponent(query)}` +
-    `&per_page=20` +
-    `&select=id,title,authorships,publication_year,type,doi,primary_location,cited_by_count,language` +
+    `${OPENALEX_BASE}?search=${encodeURIComponent(text)}` +
+    (oaFilters.length ? `&filter=${encodeURIComponent(oaFilters.join(','))}` : '') +
+    `&per_page=${limit}` +
+    `&select=${OPENALEX_FIELDS}` +
     `&mailto=evidence-navigator@example.com`;
 
   const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
   if (!res.ok) throw new Error(`OpenAlex HTTP ${res.status}`);
   const data = await res.json();
+  return data?.results || [];
+}
 
-  return (data?.results || []).map(w => {
-    const doi = (w.doi || '').replace('https://doi.org/', '');
-    const journal = w.primary_location?.source?.display_name || '';
-    return {
-      id: `oa-${w.id?.split('/')?.pop() || ''}`,
-      title: w.title || '',
-      authors: (w.authorships || []).map(a => a.author?.display_name).filter(Boolean).slice(0, 5),
-      journal,
-      year: w.publication_year || null,
-      pubTypes: w.type ? [w.type] : [],
-      evidenceLevel: classifyOAType(w.type, w.title),
+function normalizeOpenAlex(w) {
+  const doi = (w.doi || '').replace('https://doi.org/', '');
+  const journal = w.primary_location?.source?.display_name || '';
+  return {
+    id: `oa-${w.id?.split('/')?.pop() || ''}`,
+    ids: articleIds({
       doi,
-      url: doi ? `https://doi.org/${doi}` : '',
-      source: 'OpenAlex',
-      citations: w.cited_by_count || 0,
-      language: w.language || '',
-    };
-  });
+      openalex: w.id?.split('/')?.pop(),
+      pmid: w.ids?.pmid?.split('/')?.pop(),
+      pmcid: w.ids?.pmcid?.replace(/\/$/, '').split('/').pop(),
+    }),
+    title: w.title || '',
+    abstract: rebuildInvertedAbstract(w.abstract_inverted_index),
+    authors: (w.authorships || []).map(a => a.author?.display_name).filter(Boolean).slice(0, 5),
+    journal,
+    year: w.publication_year || null,
+    pubTypes: w.type ? [w.type] : [],
+    doi,
+    url: doi ? `https://doi.org/${doi}` : '',
+    source: 'OpenAlex',
+    citations: w.cited_by_count || 0,
+    language: w.language || '',
+    ...(w.open_access && { openAccess: !!w.open_access.is_oa }),
+    ...correctionFlags({ retracted: w.is_retracted }),
+  };
+}
+
+// OpenAlex stores abstracts as { word: [positions] }
+function rebuildInvertedAbstract(index) {
+  if (!index) return '';
+  const words = [];
+  for (const [word, positions] of Object.entries(index)) {
+    for (const pos of positions) words[pos] = word;
+  }
+  return words.filter(w => w !== undefined).join(' ');
 }
 
 function classifyOAType(type, title) {
@@ -958,200 +3187,645 @@ function classifyOAType(type, title) {
 
 // ── CiNii Research ───────────────────────────────────────────
 
-async function searchCiNii(query) {
-  const url =
-    `${CINII_BASE}?q=${encodeURIComponent(query)}&format=json&count=20`;
+async function fetchCiNii(text, { limit = 20, filters } = {}) {
+  let url =
+    `${CINII_BASE}?q=${encodeURIComponent(text)}&format=json&count=${limit}`;
+  if (filters?.yearFrom) url += `&from=${filters.yearFrom}`;
+  if (filters?.yearTo) url += `&until=${filters.yearTo}`;
 
   const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
   if (!res.ok) throw new Error(`CiNii HTTP ${res.status}`);
   const data = await res.json();
+  return data?.items || [];
+}
+
+function normalizeCiNii(item) {
+  const title = item.title || '';
+  const link = item.link?.['@id'] || '';
+  const journal = item['prism:publicationName'] || '';
+  const year = item['prism:publicationDate'] || '';
+  const doi = item['dc:identifier']?.find?.(id => id['@type'] === 'cir:DOI')?.['@value'] || '';
+
+  return {
+    id: `cn-${link.split('/').pop() || Math.random().toString(36).slice(2, 8)}`,
+    ids: articleIds({ doi, cinii: link.split('/').pop() }),
+    title: strip(title),
+    authors: [], // CiNii opensearch doesn't include authors in list view
+    journal: strip(journal),
+    year: year ? parseInt(year) : null,
+    pubTypes: item['dc:type'] ? [item['dc:type']] : [],
+    doi,
+    url: link,
+    source: 'CiNii',
+  };
+}
+
+// ── Europe PMC ───────────────────────────────────────────────
+
+const EPMC_LANG = { ja: 'jpn', en: 'eng' };
+
+async function fetchEPMC(text, { limit = 20, filters } = {}) {
+  let query = text;
+  if (filters) {
+    const limits = [];
+    if (filters.yearFrom || filters.yearTo) limits.push(`PUB_YEAR:[${filters.yearFrom || 1800} TO ${filters.yearTo || 3000}]`);
+    if (filters.lang) limits.push(`(${filters.lang.map(l => `LANG:"${EPMC_LANG[l]}"`).join(' OR ')})`);
+    if (filters.oa) limits.push('OPEN_ACCESS:y');
+    if (limits.length) query = `(${text}) AND ${limits.join(' AND ')}`;
+  }
+  const url =
+    `${EPMC_BASE}?query=${encodeURIComponent(query)}` +
+    `&format=json&pageSize=${limit}&resultType=core`;
+
+  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+  if (!res.ok) throw new Error(`EPMC HTTP ${res.status}`);
+  const data = await res.json();
+  return data?.resultList?.result || [];
+}
+
+function epmcAbstract(text) {
+  return strip((text || '').replace(/<\/?(h4|p|br)\s*\/?>/gi, '\n')).replace(/\n{2,}/g, '\n').trim();
+}
+
+function normalizeEPMC(p) {
+  const doi = p.doi || '';
+  const pmid = p.pmid || '';
+  return {
+    id: `ep-${pmid || p.id || ''}`,
+    ids: articleIds({ doi, pmid, pmcid: p.pmcid }),
+    title: strip(p.title || ''),
+    abstract: epmcAbstract(p.abstractText),
+    authors: p.authorString
+      ? p.authorString.split(', ').slice(0, 5)
+      : [],
+    journal: p.journalTitle || '',
+    year: p.pubYear ? parseInt(p.pubYear) : null,
+    pubTypes: p.pubTypeList?.pubType || [],
+    doi,
+    url: pmid
+      ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`
+      : doi
+        ? `https://doi.org/${doi}`
+        : `https://europepmc.org/article/${p.source}/${p.id}`,
+    source: 'Europe PMC',
+    citations: p.citedByCount || 0,
+    language: langCode(p.language),
+    ...(p.isOpenAccess && { openAccess: p.isOpenAccess === 'Y' }),
+    ...correctionFlags({
+      pubTypes: p.pubTypeList?.pubType,
+      corrections: (p.commentCorrectionList?.commentCorrection || []).map(c => c.type),
+    }),
+  };
+}
+
+
+// ── Cochrane (via PubMed journal filter) ────────────────────
+
+async function fetchCochrane(term, { limit = 10, filters } = {}) {
+  const query = `(${term}) AND "Cochrane Database Syst Rev"[Journal]`;
+  return fetchPubMedSummaries(pubmedFilterTerm(query, filters, false), limit, 'Cochrane');
+}
+
+function normalizeCochrane(a) {
+  return { ...normalizePubMed(a), source: 'Cochrane', isCochrane: true };
+}
+
+// ── ClinicalTrials.gov ──────────────────────────────────────
+
+async function searchClinicalTrials(query) {
+  const url =
+    `${CTGOV_BASE}?query.term=${encodeURIComponent(query)}` +
+    `&pageSize=10&format=json`;
+
+  const res = await fetch(url, { signal: AbortSignal.timeout(10000) });
+  if (!res.ok) {
+    if (res.status === 429) return [];
+    throw new Error(`ClinicalTrials.gov HTTP ${res.status}`);
+  }
+  const data = await res.json();
+
+  return (data?.studies || []).map(study => {
+    const proto = study.protocolSection || {};
+    const idMod = proto.identificationModule || {};
+    const statusMod = proto.statusModule || {};
+    const designMod = proto.designModule || {};
+    const condMod = proto.conditionsModule || {};
+    const armsMod = proto.armsInterventionsModule || {};
+    const contacts = proto.contactsLocationsModule?.overallOfficials || [];
+
+    return {
+      nctId: idMod.nctId || '',
+      title: idMod.officialTitle || idMod.briefTitle || '',
+      briefTitle: idMod.briefTitle || '',
+      status: statusMod.overallStatus || '',
+      phase: (designMod.phases || []).join(', ') || 'N/A',
+      studyType: designMod.studyType || '',
+      conditions: condMod.conditions || [],
+      interventions: (armsMod.interventions || []).map(i => i.name).slice(0, 5),
+      startDate: statusMod.startDateStruct?.date || '',
+      completionDate: statusMod.completionDateStruct?.date || '',
+      enrollment: designMod.enrollmentInfo?.count || null,
+      lead: contacts.length > 0 ? contacts[0].name : '',
+      url: `https://clinicaltrials.gov/study/${idMod.nctId || ''}`,
+    };
+  });
+}
+
+// ── DOAJ (Open Access) ──────────────────────────────────────
+
+async function fetchDOAJ(text, { limit = 15, filters } = {}) {
+  let query = text;
+  if (filters?.yearFrom || filters?.yearTo) {
+    query = `(${text}) AND bibjson.year:[${filters.yearFrom || '*'} TO ${filters.yearTo || '*'}]`;
+  }
+  const url =
+    `${DOAJ_BASE}/${encodeURIComponent(query)}?pageSize=${limit}`;
+
+  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+  if (!res.ok) {
+    if (res.status === 429) return [];
+    throw new Error(`DOAJ HTTP ${res.status}`);
+  }
+  const data = await res.json();
+  return data?.results || [];
+}
+
+function normalizeDOAJ(item) {
+  const bib = item.bibjson || {};
+  const ids = bib.identifier || [];
+  const doi = (ids.find(i => i.type === 'doi') || {}).id || '';
+  const authors = (bib.author || []).map(a => a.name).filter(Boolean).slice(0, 5);
+  const links = bib.link || [];
+  const fullTextUrl = (links.find(l => l.type === 'fulltext') || {}).url || '';
+  const journal = (bib.journal || {}).title || '';
+  const year = bib.year ? parseInt(bib.year) : null;
+
+  return {
+    id: `doaj-${item.id || Math.random().toString(36).slice(2, 8)}`,
+    ids: articleIds({ doi }),
+    title: bib.title || '',
+    abstract: bib.abstract || '',
+    authors,
+    journal,
+    year,
+    pubTypes: [],
+    doi,
+    url: fullTextUrl || (doi ? `https://doi.org/${doi}` : ''),
+    source: 'DOAJ',
+    openAccess: true,
+  };
+}
+
+// ── Article Detail (abstract, MeSH, funding) ────────────────
+// /api/article?id=pm-123|oa-W123|ep-123|js-10.xxxx  or  ?pmid=123  or  ?doi=10.xxxx
+// Merges PubMed efetch, Europe PMC core and OpenAlex into one record; Japanese and
+// English titles/abstracts are returned side by side when both exist.
+
+function resolveArticleId(params) {
+  const ids = { pmid: '', doi: '', openalex: '', epmc: '' };
+  const pmid = (params.get('pmid') || '').trim();
+  const doi = (params.get('doi') || '').trim();
+  const id = (params.get('id') || '').trim();
+  if (/^\d+$/.test(pmid)) ids.pmid = pmid;
+  if (doi) ids.doi = doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+  if (id) {
+    const m = id.match(/^(pm|oa|ep|js)-(.+)$/);
+    if (m) {
+      const [, prefix, value] = m;
+      if (prefix === 'pm') ids.pmid = value;
+      if (prefix === 'oa') ids.openalex = value;
+      if (prefix === 'ep') { if (/^\d+$/.test(value)) ids.pmid = value; else ids.epmc = value; }
+      if (prefix === 'js' && value.startsWith('10.')) ids.doi = value;
+    } else if (/^\d+$/.test(id)) {
+      ids.pmid = id;
+    } else if (/^(https?:\/\/(dx\.)?doi\.org\/)?10\./i.test(id)) {
+      ids.doi = id.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+    }
+  }
+  return Object.values(ids).some(Boolean) ? ids : null;
+}
+
+async function fetchPubMedArticle(pmid) {
+  const xml = await eutils('efetch', { db: 'pubmed', id: pmid, retmode: 'xml' }, { format: 'xml' });
+  const article = xmlTag(xml, 'PubmedArticle');
+  if (!article) return null;
+
+  // <AbstractText Label="METHODS">…</AbstractText> → "METHODS: …"
+  const abstractOf = block => {
+    const parts = [];
+    const re = /<AbstractText([^>]*)>([\s\S]*?)<\/AbstractText>/g;
+    let m;
+    while ((m = re.exec(block))) {
+      const label = (m[1].match(/Label="([^"]*)"/) || [])[1];
+      const text = strip(m[2]).trim();
+      if (text) parts.push(label ? `${label}: ${text}` : text);
+    }
+    return parts.join('\n');
+  };
+  const otherAbstracts = {};
+  const oaRe = /<OtherAbstract[^>]*Language="(\w+)"[^>]*>([\s\S]*?)<\/OtherAbstract>/g;
+  let om;
+  while ((om = oaRe.exec(article))) otherAbstracts[langCode(om[1])] = abstractOf(om[2]);
+
+  const meshTerms = [];
+  const meshRe = /<DescriptorName([^>]*)>([\s\S]*?)<\/DescriptorName>/g;
+  let mm;
+  while ((mm = meshRe.exec(article))) {
+    meshTerms.push({
+      descriptor: strip(mm[2]).trim(),
+      ui: (mm[1].match(/UI="([^"]*)"/) || [])[1] || '',
+      major: /MajorTopicYN="Y"/.test(mm[1]),
+    });
+  }
+
+  // Own IDs only: the ReferenceList after them repeats ArticleIdList per cited work
+  const ownIds = xmlTag(xmlTag(article, 'PubmedData').split('<ReferenceList')[0], 'ArticleIdList');
+  const articleId = type => (ownIds.match(new RegExp(`<ArticleId IdType="${type}">([^<]+)</ArticleId>`)) || [])[1] || '';
+  const grantBlocks = xmlAllCdata(xmlTag(article, 'GrantList'), 'Grant');
+  const authorBlocks = xmlAllCdata(xmlTag(article, 'AuthorList'), 'Author');
+
+  return {
+    source: 'PubMed',
+    pmid,
+    pmcid: articleId('pmc'),
+    doi: articleId('doi'),
+    title: strip(xmlTag(article, 'ArticleTitle')),
+    vernacularTitle: strip(xmlTag(article, 'VernacularTitle')),
+    abstract: abstractOf(xmlTag(article, 'Abstract')),
+    otherAbstracts,
+    authors: authorBlocks.map(a => [xmlTag(a, 'LastName'), xmlTag(a, 'Initials')].filter(Boolean).join(' ') || xmlTag(a, 'CollectiveName')).filter(Boolean),
+    journal: strip(xmlTag(xmlTag(article, 'Journal'), 'Title')),
+    year: yearOf(xmlTag(article, 'PubDate')),
+    language: langCode(xmlTag(article, 'Language')),
+    meshTerms,
+    keywords: xmlAllCdata(xmlTag(article, 'KeywordList'), 'Keyword').map(k => strip(k)),
+    funding: grantBlocks.map(g => ({ agency: xmlTag(g, 'Agency'), grantId: xmlTag(g, 'GrantID') })),
+    pubTypes: xmlAllCdata(xmlTag(article, 'PublicationTypeList'), 'PublicationType'),
+    // <CommentsCorrections RefType="RetractionIn"> → "retraction in"
+    ...correctionFlags({
+      pubTypes: xmlAllCdata(xmlTag(article, 'PublicationTypeList'), 'PublicationType'),
+      corrections: [...article.matchAll(/<CommentsCorrections[^>]*RefType="([A-Za-z]+)"/g)]
+        .map(m => m[1].replace(/([a-z])([A-Z])/g, '$1 $2')),
+    }),
+  };
+}
+
+async function fetchEPMCArticle({ pmid, doi, epmc }) {
+  const query = pmid ? `EXT_ID:${pmid} AND SRC:MED` : epmc ? `EXT_ID:${epmc}` : `DOI:"${doi}"`;
+  const url = `${EPMC_BASE}?query=${encodeURIComponent(query)}&format=json&pageSize=1&resultType=core`;
+  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+  if (!res.ok) throw new Error(`EPMC HTTP ${res.status}`);
+  const data = await res.json();
+  const p = data?.resultList?.result?.[0];
+  if (!p) return null;
+  return {
+    source: 'Europe PMC',
+    pmid: p.pmid || '',
+    pmcid: p.pmcid || '',
+    doi: p.doi || '',
+    title: strip(p.title || ''),
+    abstract: epmcAbstract(p.abstractText),
+    authors: (p.authorList?.author || []).map(a => a.fullName).filter(Boolean),
+    journal: p.journalInfo?.journal?.title || '',
+    year: p.pubYear ? parseInt(p.pubYear) : null,
+    language: langCode(p.language),
+    meshTerms: (p.meshHeadingList?.meshHeading || []).map(h => ({
+      descriptor: h.descriptorName, ui: '', major: h.majorTopic_YN === 'Y',
+    })),
+    keywords: p.keywordList?.keyword || [],
+    funding: (p.grantsList?.grant || []).map(g => ({ agency: g.agency || '', grantId: g.grantId || '' })),
+    license: p.license || '',
+    openAccess: p.isOpenAccess === 'Y',
+    pubTypes: p.pubTypeList?.pubType || [],
+    ...correctionFlags({
+      pubTypes: p.pubTypeList?.pubType,
+      corrections: (p.commentCorrectionList?.commentCorrection || []).map(c => c.type),
+    }),
+  };
+}
+
+async function fetchOpenAlexArticle({ openalex, pmid, doi }) {
+  const key = openalex ? openalex : pmid ? `pmid:${pmid}` : `doi:${doi}`;
+  const url =
+    `${OPENALEX_BASE}/${encodeURIComponent(key)}` +
+    `?select=id,doi,title,publication_year,authorships,primary_location,abstract_inverted_index,ids,keywords,grants,open_access,language,type,is_retracted` +
+    `&mailto=evidence-navigator@example.com`;
+  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`OpenAlex HTTP ${res.status}`);
+  const w = await res.json();
+  if (!w?.id) return null;
+  const idOf = (u, prefix) => (u || '').replace(prefix, '');
+  return {
+    source: 'OpenAlex',
+    openalex: idOf(w.id, 'https://openalex.org/'),
+    pmid: idOf(w.ids?.pmid, 'https://pubmed.ncbi.nlm.nih.gov/'),
+    pmcid: idOf(w.ids?.pmcid, 'https://www.ncbi.nlm.nih.gov/pmc/articles/').replace(/\/$/, ''),
+    doi: idOf(w.doi, 'https://doi.org/'),
+    title: w.title || '',
+    abstract: rebuildInvertedAbstract(w.abstract_inverted_index),
+    authors: (w.authorships || []).map(a => a.author?.display_name).filter(Boolean),
+    journal: w.primary_location?.source?.display_name || '',
+    year: w.publication_year || null,
+    language: w.language || '',
+    keywords: (w.keywords || []).map(k => k.display_name).filter(Boolean),
+    funding: (w.grants || []).map(g => ({ agency: g.funder_display_name || '', grantId: g.award_id || '' })),
+    license: w.primary_location?.license || w.open_access?.license || '',
+    openAccess: !!w.open_access?.is_oa,
+    ...correctionFlags({ retracted: w.is_retracted }),
+  };
+}
+
+// J-STAGE has no DOI lookup: search by title and match the DOI to get ja/en titles
+async function fetchJStageTitles(title, doi) {
+  const url = `${JSTAGE_BASE}?service=3&article=${encodeURIComponent(title)}&count=10`;
+  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+  if (!res.ok) throw new Error(`J-STAGE HTTP ${res.status}`);
+  const xml = await res.text();
+  for (const entry of xml.split('<entry>').slice(1)) {
+    if (xmlTag(entry, 'prism:doi').toLowerCase() !== doi.toLowerCase()) continue;
+    return {
+      source: 'J-STAGE',
+      ja: strip(xmlNestedTag(entry, 'article_title', 'ja')),
+      en: strip(xmlNestedTag(entry, 'article_title', 'en')),
+      url: xmlNestedTag(entry, 'article_link', 'ja') || xmlNestedTag(entry, 'article_link', 'en'),
+    };
+  }
+  return null;
+}
+
+// Put text into the ja/en slot by script
+function addBilingual(slots, text) {
+  if (!text) return;
+  const lang = isJapanese(text) ? 'ja' : 'en';
+  if (!slots[lang]) slots[lang] = text;
+}
+
+function mergeArticleRecords(records, jstage) {
+  const pick = field => records.map(r => r[field]).find(v => v) || '';
+  const byPriority = name => records.find(r => r.source === name);
+  const pubmed = byPriority('PubMed');
+
+  const titles = {};
+  const abstracts = {};
+  if (jstage) { addBilingual(titles, jstage.ja); addBilingual(titles, jstage.en); }
+  for (const r of records) {
+    addBilingual(titles, r.title);
+    addBilingual(titles, r.vernacularTitle);
+    addBilingual(abstracts, r.abstract);
+    for (const text of Object.values(r.otherAbstracts || {})) addBilingual(abstracts, text);
+  }
+
+  // Keywords: union (case-insensitive); funding: dedup by grant ID / agency
+  const keywords = [];
+  const seenKw = new Set();
+  for (const kw of records.flatMap(r => r.keywords || [])) {
+    const k = kw.toLowerCase();
+    if (!seenKw.has(k)) { seenKw.add(k); keywords.push(kw); }
+  }
+  const funding = [];
+  const seenGrant = new Set();
+  for (const g of records.flatMap(r => r.funding || [])) {
+    const k = (g.grantId || g.agency).toLowerCase();
+    if (k && !seenGrant.has(k)) { seenGrant.add(k); funding.push(g); }
+  }
+
+  const pmid = pick('pmid');
+  const doi = pick('doi');
+  const authors = records.map(r => r.authors || []).sort((a, b) => b.length - a.length)[0] || [];
+  return {
+    ids: { pmid, pmcid: pick('pmcid'), doi, openalex: pick('openalex') },
+    title: pick('title'),
+    titles,
+    abstract: pick('abstract'),
+    abstracts,
+    authors,
+    journal: pick('journal'),
+    year: records.map(r => r.year).find(Boolean) || null,
+    language: pick('language'),
+    meshTerms: (pubmed?.meshTerms?.length ? pubmed : byPriority('Europe PMC'))?.meshTerms || [],
+    keywords,
+    funding,
+    license: pick('license'),
+    openAccess: records.some(r => r.openAccess) || !!pick('pmcid'),
+    pubTypes: records.map(r => r.pubTypes).find(p => p?.length) || [],
+    ...Object.fromEntries(CORRECTION_FLAGS.map(f => [f, pick(f)]).filter(([, v]) => v)),
+    url: pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : doi ? `https://doi.org/${doi}` : (jstage?.url || ''),
+    sources: [...records.map(r => r.source), ...(jstage ? [jstage.source] : [])],
+  };
+}
+
+async function handleArticle(url, cors) {
+  const ids = resolveArticleId(url.searchParams);
+  if (!ids) return json({ error: 'id (pm-/oa-/ep-/js- prefix, PMID or DOI), pmid, or doi required' }, 400, cors);
+
+  // Round 1: every source we can address with the IDs we have
+  const fetchers = [];
+  if (ids.pmid) fetchers.push(fetchPubMedArticle(ids.pmid));
+  if (ids.pmid || ids.doi || ids.epmc) fetchers.push(fetchEPMCArticle(ids));
+  if (ids.openalex || ids.pmid || ids.doi) fetchers.push(fetchOpenAlexArticle(ids));
+  const settled = await Promise.allSettled(fetchers);
+  const records = settled.filter(s => s.status === 'fulfilled' && s.value).map(s => s.value);
+  const errors = settled.filter(s => s.status === 'rejected').map(s => s.reason?.message);
+
+  // Round 2: a PMID/DOI learned from another source unlocks PubMed / Europe PMC
+  const learnedPmid = !ids.pmid && records.map(r => r.pmid).find(Boolean);
+  const learnedDoi = !ids.doi && records.map(r => r.doi).find(Boolean);
+  const round2 = [];
+  if (learnedPmid) round2.push(fetchPubMedArticle(learnedPmid));
+  if (!records.some(r => r.source === 'Europe PMC') && (learnedPmid || learnedDoi)) {
+    round2.push(fetchEPMCArticle({ pmid: learnedPmid, doi: learnedDoi }));
+  }
+  for (const s of await Promise.allSettled(round2)) {
+    if (s.status === 'fulfilled' && s.value) records.push(s.value);
+    else if (s.status === 'rejected') errors.push(s.reason?.message);
+  }
+
+  if (!records.length) return json({ error: 'Article not found', errors }, 404, cors);
 
-  return (data?.items || []).map(item => {
-    const title = item.title || '';
-    const link = item.link?.['@id'] || '';
-    const journal = item['prism:publicationName'] || '';
-    const year = item['prism:publicationDate'] || '';
-    const doi = item['dc:identifier']?.find?.(id => id['@type'] === 'cir:DOI')?.['@value'] || '';
+  // Japanese articles: J-STAGE carries both the ja and en titles
+  const doi = ids.doi || records.map(r => r.doi).find(Boolean);
+  const title = records.map(r => r.title).find(Boolean);
+  let jstage = null;
+  const looksJapanese = records.some(r => r.language === 'ja' || isJapanese(r.title || ''));
+  const isJStageId = (url.searchParams.get('id') || '').startsWith('js-');
+  if (doi && title && (isJStageId || looksJapanese)) {
+    jstage = await fetchJStageTitles(title, doi).catch(e => { errors.push(e.message); return null; });
+  }
 
-    return {
-      id: `cn-${link.split('/').pop() || Math.random().toString(36).slice(2, 8)}`,
-      title: strip(title),
-      authors: [], // CiNii opensearch doesn't include authors in list view
-      journal: strip(journal),
-      year: year ? parseInt(year) : null,
-      pubTypes: item['dc:type'] ? [item['dc:type']] : [],
-      evidenceLevel: classifyByTitle(title),
-      doi,
-      url: link,
-      source: 'CiNii',
-    };
-  });
+  const article = mergeArticleRecords(records, jstage);
+  article.id = url.searchParams.get('id') || (article.ids.pmid ? `pm-${article.ids.pmid}` : `doi:${article.ids.doi}`);
+  return json({ ...article, errors }, 200, cors);
 }
 
-// ── Europe PMC ───────────────────────────────────────────────
+// ── Related Articles (references, citations, similar) ───────
+// /api/related?id= (same ids as /api/article, plus s2-<paperId>)
+//   cites    — PubMed pubmed_pubmed_refs, OpenAlex referenced_works, S2 references
+//   citedBy  — PubMed pubmed_pubmed_citedin, OpenAlex cites:
+//   similar  — PubMed pubmed_pubmed
+// Records go through the source adapters' normalize/classify and deduplicateAndMerge.
+
+const RELATED_LIMIT = 25;
+const ELINK_GROUPS = {
+  pubmed_pubmed_refs: 'cites',
+  pubmed_pubmed_citedin: 'citedBy',
+  pubmed_pubmed: 'similar',
+};
 
-async function searchEPMC(query) {
+// OpenAlex knows the PMID/DOI and the reference list of the seed article
+async function fetchOpenAlexSeed({ openalex, pmid, doi }) {
+  const key = openalex ? openalex : pmid ? `pmid:${pmid}` : `doi:${doi}`;
   const url =
-    `${EPMC_BASE}?query=${encodeURIComponent(query)}` +
-    `&format=json&pageSize=20&resultType=core`;
+    `${OPENALEX_BASE}/${encodeURIComponent(key)}` +
+    `?select=id,ids,doi,referenced_works&mailto=evidence-navigator@example.com`;
+  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`OpenAlex HTTP ${res.status}`);
+  const w = await res.json();
+  if (!w?.id) return null;
+  return {
+    openalex: w.id.split('/').pop(),
+    pmid: (w.ids?.pmid || '').split('/').pop(),
+    doi: (w.doi || '').replace('https://doi.org/', ''),
+    referenced: (w.referenced_works || []).map(u => u.split('/').pop()),
+  };
+}
 
+async function fetchOpenAlexWorks(filter) {
+  const url =
+    `${OPENALEX_BASE}?filter=${encodeURIComponent(filter)}` +
+    `&per_page=${RELATED_LIMIT}&sort=cited_by_count:desc` +
+    `&select=${OPENALEX_FIELDS}&mailto=evidence-navigator@example.com`;
   const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
-  if (!res.ok) throw new Error(`EPMC HTTP ${res.status}`);
+  if (!res.ok) throw new Error(`OpenAlex HTTP ${res.status}`);
   const data = await res.json();
-
-  return (data?.resultList?.result || []).map(p => {
-    const pubTypes = p.pubTypeList?.pubType || [];
-    const doi = p.doi || '';
-    const pmid = p.pmid || '';
-    return {
-      id: `ep-${pmid || p.id || ''}`,
-      title: strip(p.title || ''),
-      authors: p.authorString
-        ? p.authorString.split(', ').slice(0, 5)
-        : [],
-      journal: p.journalTitle || '',
-      year: p.pubYear ? parseInt(p.pubYear) : null,
-      pubTypes,
-      evidenceLevel: classifyPubType(pubTypes),
-      doi,
-      url: pmid
-        ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`
-        : doi
-          ? `https://doi.org/${doi}`
-          : `https://europepmc.org/article/${p.source}/${p.id}`,
-      source: 'Europe PMC',
-      citations: p.citedByCount || 0,
-    };
-  });
+  return data?.results || [];
 }
 
-
-// ── Cochrane (via PubMed journal filter) ────────────────────
-
-async function searchCochrane(queryParts) {
-  const query = queryParts.join(' AND ') + ' AND "Cochrane Database Syst Rev"[Journal]';
-  const searchUrl =
-    `${PUBMED_BASE}/esearch.fcgi?db=pubmed` +
-    `&term=${encodeURIComponent(query)}` +
-    `&retmax=10&retmode=json&sort=relevance` +
-    `&tool=evidence-navigator&email=evidence-navigator@example.com`;
-
-  const searchRes = await fetch(searchUrl, { signal: AbortSignal.timeout(8000) });
-  if (!searchRes.ok) throw new Error(`Cochrane search HTTP ${searchRes.status}`);
-  const searchData = await searchRes.json();
-  const ids = searchData?.esearchresult?.idlist || [];
-  if (!ids.length) return [];
-
-  const sumUrl =
-    `${PUBMED_BASE}/esummary.fcgi?db=pubmed` +
-    `&id=${ids.join(',')}` +
-    `&retmode=json` +
-    `&tool=evidence-navigator&email=evidence-navigator@example.com`;
-
-  const sumRes = await fetch(sumUrl, { signal: AbortSignal.timeout(8000) });
-  if (!sumRes.ok) throw new Error(`Cochrane summary HTTP ${sumRes.status}`);
-  const sumData = await sumRes.json();
-
-  const articles = [];
-  for (const id of ids) {
-    const a = sumData?.result?.[id];
-    if (!a || !a.title) continue;
-    const doi = (a.articleids || []).find(x => x.idtype === 'doi')?.value || '';
-    articles.push({
-      id: `pm-${id}`,
-      title: strip(a.title),
-      authors: (a.authors || []).map(x => x.name).slice(0, 5),
-      journal: a.source || '',
-      year: yearOf(a.pubdate || ''),
-      pubTypes: a.pubtype || [],
-      evidenceLevel: 'sr_ma',
-      doi,
-      url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
-      source: 'Cochrane',
-      isCochrane: true,
-    });
+// elink neighbors → { cites, citedBy, similar } of esummary records
+async function fetchPubMedLinks(pmid) {
+  const data = await eutils('elink', { dbfrom: 'pubmed', db: 'pubmed', id: pmid, cmd: 'neighbor' });
+  const groups = {};
+  for (const set of data?.linksets?.[0]?.linksetdbs || []) {
+    const group = ELINK_GROUPS[set.linkname];
+    if (group) groups[group] = (set.links || []).map(String).filter(id => id !== pmid).slice(0, RELATED_LIMIT);
   }
-  return articles;
+  const entries = await Promise.all(Object.entries(groups).map(async ([group, ids]) => {
+    if (!ids.length) return [group, []];
+    const summaries = await eutilsSummaries(ids, null);
+    return [group, ids.map(id => summaries[id]).filter(a => a && a.title)];
+  }));
+  return Object.fromEntries(entries);
 }
 
-// ── ClinicalTrials.gov ──────────────────────────────────────
-
-async function searchClinicalTrials(query) {
+async function fetchS2References(paperKey) {
   const url =
-    `${CTGOV_BASE}?query.term=${encodeURIComponent(query)}` +
-    `&pageSize=10&format=json`;
-
-  const res = await fetch(url, { signal: AbortSignal.timeout(10000) });
-  if (!res.ok) {
-    if (res.status === 429) return [];
-    throw new Error(`ClinicalTrials.gov HTTP ${res.status}`);
-  }
+    `${S2_PAPER_BASE}/${encodeURIComponent(paperKey)}/references` +
+    `?fields=${S2_FIELDS}&limit=${RELATED_LIMIT}`;
+  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+  if (res.status === 404) return [];
+  if (!res.ok) throw new Error(`S2 HTTP ${res.status}`);
   const data = await res.json();
+  return (data?.data || []).map(d => d.citedPaper).filter(p => p?.paperId && p.title);
+}
 
-  return (data?.studies || []).map(study => {
-    const proto = study.protocolSection || {};
-    const idMod = proto.identificationModule || {};
-    const statusMod = proto.statusModule || {};
-    const designMod = proto.designModule || {};
-    const condMod = proto.conditionsModule || {};
-    const armsMod = proto.armsInterventionsModule || {};
-    const contacts = proto.contactsLocationsModule?.overallOfficials || [];
+// Deduplicated group, best evidence first; flagged items last
+function relatedGroup(records) {
+  const { results } = deduplicateAndMerge(records);
+  for (const r of results) delete r.abstract;
+  results.sort((a, b) =>
+    correctionRank(a) - correctionRank(b) ||
+    (EV_RANK[a.evidenceLevel] ?? 7) - (EV_RANK[b.evidenceLevel] ?? 7) ||
+    (b.year || 0) - (a.year || 0));
+  return { totalCount: results.length, results };
+}
 
-    return {
-      nctId: idMod.nctId || '',
-      title: idMod.officialTitle || idMod.briefTitle || '',
-      briefTitle: idMod.briefTitle || '',
-      status: statusMod.overallStatus || '',
-      phase: (designMod.phases || []).join(', ') || 'N/A',
-      studyType: designMod.studyType || '',
-      conditions: condMod.conditions || [],
-      interventions: (armsMod.interventions || []).map(i => i.name).slice(0, 5),
-      startDate: statusMod.startDateStruct?.date || '',
-      completionDate: statusMod.completionDateStruct?.date || '',
-      enrollment: designMod.enrollmentInfo?.count || null,
-      lead: contacts.length > 0 ? contacts[0].name : '',
-      url: `https://clinicaltrials.gov/study/${idMod.nctId || ''}`,
-    };
+async function handleRelated(url, cors) {
+  const id = (url.searchParams.get('id') || '').trim();
+  const s2Id = id.startsWith('s2-') ? id.slice(3) : '';
+  const ids = s2Id ? {} : resolveArticleId(url.searchParams);
+  if (!ids) return json({ error: 'id (pm-/oa-/ep-/js-/s2- prefix, PMID or DOI), pmid, or doi required' }, 400, cors);
+
+  const errors = [];
+  const guard = (key, fn) => callSource(key, fn).catch(e => {
+    errors.push(`${SOURCES[key].name}: ${e.message}`);
+    return null;
   });
+
+  const seed = ids.openalex || ids.pmid || ids.doi ? await guard('openalex', () => fetchOpenAlexSeed(ids)) : null;
+  const pmid = ids.pmid || seed?.pmid || '';
+  const doi = ids.doi || seed?.doi || '';
+  const openalex = ids.openalex || seed?.openalex || '';
+  const s2Key = s2Id || (pmid ? `PMID:${pmid}` : doi ? `DOI:${doi}` : '');
+  if (!pmid && !openalex && !s2Key) return json({ error: 'Article not found', errors }, 404, cors);
+
+  const [links, oaCites, oaCitedBy, s2Cites] = await Promise.all([
+    pmid ? guard('pubmed', () => fetchPubMedLinks(pmid)) : null,
+    seed?.referenced.length
+      ? guard('openalex', () => fetchOpenAlexWorks(`openalex_id:${seed.referenced.slice(0, RELATED_LIMIT).join('|')}`))
+      : null,
+    openalex ? guard('openalex', () => fetchOpenAlexWorks(`cites:${openalex}`)) : null,
+    s2Key ? guard('s2', () => fetchS2References(s2Key)) : null,
+  ]);
+
+  return json({
+    id,
+    ids: { pmid, doi, openalex, ...(s2Id && { s2: s2Id }) },
+    cites: relatedGroup([
+      ...normalizeRecords('pubmed', links?.cites),
+      ...normalizeRecords('openalex', oaCites),
+      ...normalizeRecords('s2', s2Cites),
+    ]),
+    citedBy: relatedGroup([
+      ...normalizeRecords('pubmed', links?.citedBy),
+      ...normalizeRecords('openalex', oaCitedBy),
+    ]),
+    similar: relatedGroup(normalizeRecords('pubmed', links?.similar)),
+    errors,
+  }, 200, cors);
 }
 
-// ── DOAJ (Open Access) ──────────────────────────────────────
+// ── Retractions & Corrections ────────────────────────────────
+// Flags on a result: retracted, hasErratum, expressionOfConcern (the article
+// itself is affected) and correctionNotice (the record *is* a retraction /
+// erratum / expression-of-concern notice). Flagged results sort last in their group.
+
+// PubMed / Europe PMC publication types
+const CORRECTION_PUBTYPES = {
+  'retracted publication': { retracted: true },
+  'retraction of publication': { correctionNotice: 'retraction' },
+  'published erratum': { correctionNotice: 'erratum' },
+  'expression of concern': { correctionNotice: 'expression_of_concern' },
+};
 
-async function searchDOAJ(query) {
-  const url =
-    `${DOAJ_BASE}/${encodeURIComponent(query)}?pageSize=15`;
+// Europe PMC commentCorrectionList types
+const CORRECTION_LINKS = {
+  'retraction in': { retracted: true },
+  'partial retraction in': { hasErratum: true },
+  'erratum in': { hasErratum: true },
+  'correction in': { hasErratum: true },
+  'expression of concern in': { expressionOfConcern: true },
+  'retraction of': { correctionNotice: 'retraction' },
+  'erratum for': { correctionNotice: 'erratum' },
+  'expression of concern for': { correctionNotice: 'expression_of_concern' },
+};
 
-  const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
-  if (!res.ok) {
-    if (res.status === 429) return [];
-    throw new Error(`DOAJ HTTP ${res.status}`);
-  }
-  const data = await res.json();
+const CORRECTION_FLAGS = ['retracted', 'expressionOfConcern', 'hasErratum', 'correctionNotice'];
 
-  return (data?.results || []).map(item => {
-    const bib = item.bibjson || {};
-    const ids = bib.identifier || [];
-    const doi = (ids.find(i => i.type === 'doi') || {}).id || '';
-    const authors = (bib.author || []).map(a => a.name).filter(Boolean).slice(0, 5);
-    const links = bib.link || [];
-    const fullTextUrl = (links.find(l => l.type === 'fulltext') || {}).url || '';
-    const journal = (bib.journal || {}).title || '';
-    const year = bib.year ? parseInt(bib.year) : null;
+function correctionFlags({ pubTypes = [], corrections = [], retracted = false }) {
+  const flags = retracted ? { retracted: true } : {};
+  for (const pt of pubTypes || []) Object.assign(flags, CORRECTION_PUBTYPES[String(pt).toLowerCase()]);
+  for (const type of corrections) Object.assign(flags, CORRECTION_LINKS[(type || '').toLowerCase()]);
+  return flags;
+}
 
-    return {
-      id: `doaj-${item.id || Math.random().toString(36).slice(2, 8)}`,
-      title: bib.title || '',
-      authors,
-      journal,
-      year,
-      pubTypes: [],
-      evidenceLevel: classifyByTitle(bib.title || ''),
-      doi,
-      url: fullTextUrl || (doi ? `https://doi.org/${doi}` : ''),
-      source: 'DOAJ',
-      openAccess: true,
-    };
-  });
+// 0 = clean; higher sorts later (retracted last)
+function correctionRank(r) {
+  if (r.retracted) return 4;
+  if (r.correctionNotice) return 3;
+  if (r.expressionOfConcern) return 2;
+  if (r.hasErratum) return 1;
+  return 0;
 }
 
 // ── Evidence Classification ──────────────────────────────────
@@ -1206,6 +3880,25 @@ function dedupKey(r) {
   return `id:${r.id}`;
 }
 
+// Identifiers shared across databases: the same value means the same work
+const ID_TYPES = ['doi', 'pmid', 'pmcid', 'openalex', 'jstage', 'cinii'];
+
+// Canonical form per type; empty values are dropped
+function articleIds(raw) {
+  const ids = {};
+  for (const type of ID_TYPES) {
+    let v = String(raw[type] || '').trim();
+    if (!v) continue;
+    if (type === 'doi') v = v.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '').toLowerCase();
+    if (type === 'pmcid') v = /^pmc/i.test(v) ? v.toUpperCase() : `PMC${v}`;
+    ids[type] = v;
+  }
+  return ids;
+}
+
+// Preprint servers mint their own DOI; the journal version gets another
+const PREPRINT_DOI = /^10\.(1101|21203|2139|48550|20944|31219)\//;
+
 const EV_RANK = {
   guideline: 0, sr_ma: 1, rct: 2, clinical_trial: 3,
   observational: 4, case_report: 5, review: 6, other: 7,
@@ -1220,14 +3913,29 @@ function mergeInto(existing, newer) {
   existing.evidenceLevel = bestEvidence(existing.evidenceLevel, newer.evidenceLevel);
   // Citations: take highest
   existing.citations = Math.max(existing.citations || 0, newer.citations || 0);
-  // DOI: fill in if missing
-  if (!existing.doi && newer.doi) existing.doi = newer.doi;
+  // DOI: fill in if missing; the journal DOI replaces a preprint one
+  const isPreprint = doi => PREPRINT_DOI.test((doi || '').toLowerCase());
+  const journalOverPreprint = isPreprint(existing.doi) && newer.doi && !isPreprint(newer.doi);
+  if (newer.doi && (!existing.doi || journalOverPreprint)) {
+    existing.doi = newer.doi;
+    if (existing.ids) delete existing.ids.doi; // refilled from newer.ids below
+  }
   // Authors: prefer longer list
   if (newer.authors.length > existing.authors.length) existing.authors = newer.authors;
   // Journal: fill in if missing
   if (!existing.journal && newer.journal) existing.journal = newer.journal;
-  // Year: fill in if missing
-  if (!existing.year && newer.year) existing.year = newer.year;
+  // Year: fill in if missing; the journal year wins over an earlier preprint's
+  if (newer.year && (!existing.year || journalOverPreprint)) existing.year = newer.year;
+  // Identifiers and other-language titles: union
+  existing.ids = { ...newer.ids, ...existing.ids };
+  const seen = new Set([existing.title, ...(existing.altTitles || [])].map(normalizeTitle));
+  for (const t of [newer.title, ...(newer.altTitles || [])]) {
+    if (!t || seen.has(normalizeTitle(t)) || isJapanese(t) === isJapanese(existing.title)) continue;
+    seen.add(normalizeTitle(t));
+    existing.altTitles = [...(existing.altTitles || []), t];
+  }
+  // Abstract: fill in if missing (only used for scoring)
+  if (!existing.abstract && newer.abstract) existing.abstract = newer.abstract;
   // URL: prefer PubMed > DOI > others
   if (newer.url && newer.url.includes('pubmed.ncbi') && !existing.url.includes('pubmed.ncbi')) {
     existing.url = newer.url;
@@ -1240,32 +3948,278 @@ function mergeInto(existing, newer) {
   if (!existing.foundIn.includes(newer.source)) existing.foundIn.push(newer.source);
   // Language
   if (!existing.language && newer.language) existing.language = newer.language;
+  // Retraction / correction flags: any source reporting one wins
+  for (const flag of CORRECTION_FLAGS) {
+    if (newer[flag] && !existing[flag]) existing[flag] = newer[flag];
+  }
+  // Open access: any source reporting OA wins
+  if (newer.openAccess === true || existing.openAccess === undefined) {
+    if (newer.openAccess !== undefined) existing.openAccess = newer.openAccess;
+  }
+}
+
+// Records merge when any identifier matches (DOI, PMID, PMCID, OpenAlex, J-STAGE, CiNii),
+// else on fuzzy title similarity with year/author tolerance. A record matching two
+// merged records by ID joins them into one. Each merged record keeps
+// `duplicates`: [{ id, source, reason: <id type> | 'title', similarity? }] for auditing.
+function deduplicateAndMerge(allResults, sourceKeys = SOURCE_KEYS) {
+  const merger = resultMerger(sourceKeys);
+  merger.add(allResults);
+  return { results: merger.results, sourceCounts: merger.sourceCounts };
 }
 
-function deduplicateAndMerge(allResults) {
-  const map = new Map(); // dedupKey → result
-  const sourceCounts = { pubmed: 0, jstage: 0, s2: 0, openalex: 0, cinii: 0, epmc: 0, cochrane: 0, doaj: 0 };
+// Incremental form: add() merges one batch into the records merged so far
+function resultMerger(sourceKeys = SOURCE_KEYS) {
+  const merged = [];
+  const byId = new Map(); // `${type}:${value}` → merged record
+  const sourceCounts = Object.fromEntries(sourceKeys.map(k => [k, 0]));
+  const idKeys = r => Object.entries(r.ids || {}).map(([type, value]) => `${type}:${value}`);
+  const countSource = (r, n) => {
+    const srcKey = SOURCE_KEY_BY_NAME.get(r.source);
+    if (srcKey) sourceCounts[srcKey] = (sourceCounts[srcKey] || 0) + n;
+  };
+
+  // A record whose IDs hit two merged records joins them: the later one is folded into the earlier
+  const absorb = (target, other, reason) => {
+    for (const key of idKeys(other)) byId.set(key, target);
+    mergeInto(target, other);
+    for (const src of other.foundIn) if (!target.foundIn.includes(src)) target.foundIn.push(src);
+    target.duplicates.push({ id: other.id, source: other.source, reason }, ...other.duplicates);
+    merged.splice(merged.indexOf(other), 1);
+    countSource(other, -1); // counted by primary source (first seen)
+  };
+
+  const add = r => {
+    if (!r.ids) r.ids = articleIds({ doi: r.doi });
+    let target = null;
+    let duplicate = null;
+    for (const key of idKeys(r)) {
+      const hit = byId.get(key);
+      if (!hit || hit === target) continue;
+      if (!target) {
+        target = hit;
+        duplicate = { reason: key.slice(0, key.indexOf(':')) };
+      } else {
+        const [first, second] = merged.indexOf(hit) < merged.indexOf(target) ? [hit, target] : [target, hit];
+        absorb(first, second, key.slice(0, key.indexOf(':')));
+        titleGramCache.delete(first);
+        target = first;
+      }
+    }
+    if (!target) {
+      for (const m of merged) {
+        const similarity = fuzzyDuplicate(m, r);
+        if (similarity) {
+          target = m;
+          duplicate = { reason: 'title', similarity: Math.round(similarity * 100) / 100 };
+          break;
+        }
+      }
+    }
 
-  for (const r of allResults) {
-    const key = dedupKey(r);
-    if (map.has(key)) {
-      mergeInto(map.get(key), r);
+    if (target) {
+      mergeInto(target, r);
+      titleGramCache.delete(target);
+      target.duplicates.push({ id: r.id, source: r.source, ...duplicate });
+      for (const key of idKeys(r)) byId.set(key, target);
     } else {
       r.foundIn = [r.source];
-      map.set(key, r);
-      // Count by primary source (first seen)
-      const srcKey = r.source === 'PubMed' ? 'pubmed'
-        : r.source === 'J-STAGE' ? 'jstage'
-        : r.source === 'Semantic Scholar' ? 's2'
-        : r.source === 'OpenAlex' ? 'openalex'
-        : r.source === 'Europe PMC' ? 'epmc'
-        : r.source === 'Cochrane' ? 'cochrane'
-        : r.source === 'DOAJ' ? 'doaj' : 'cinii';
-      sourceCounts[srcKey]++;
+      r.duplicates = [];
+      merged.push(r);
+      for (const key of idKeys(r)) byId.set(key, r);
+      countSource(r, 1);
+    }
+  };
+
+  return {
+    add: records => records.forEach(add),
+    results: merged,
+    sourceCounts,
+  };
+}
+
+// ── Fuzzy Title Matching ──────────────────────────────────────
+
+const TITLE_MATCH_MIN = 0.93;        // without author evidence
+const TITLE_MATCH_WITH_AUTHOR = 0.88; // first authors agree
+const YEAR_TOLERANCE = 1;             // preprint vs journal, print vs online
+
+// record → [{ text, grams }] per title variant; dropped when the record absorbs a duplicate
+const titleGramCache = new WeakMap();
+
+function titleVariants(r) {
+  if (!titleGramCache.has(r)) {
+    titleGramCache.set(r, [r.title, ...(r.altTitles || [])]
+      .map(normalizeTitle)
+      .filter(t => t.length > 10)
+      .map(text => ({ text, grams: trigrams(text) })));
+  }
+  return titleGramCache.get(r);
+}
+
+function trigrams(s) {
+  const padded = `  ${s} `;
+  const set = new Set();
+  for (let i = 0; i < padded.length - 2; i++) set.add(padded.slice(i, i + 3));
+  return set;
+}
+
+function trigramSimilarity(a, b) {
+  let shared = 0;
+  for (const g of a) if (b.has(g)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const lo = Math.max(0, i - window);
+    const hi = Math.min(b.length - 1, i + window);
+    for (let j = lo; j <= hi; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j++]) transpositions++;
+  }
+  const m = matches;
+  const jaro = (m / a.length + m / b.length + (m - transpositions / 2) / m) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Best similarity over all title variants (ja/en): mean of trigram Jaccard and Jaro-Winkler.
+// Trigrams gate the pair first; Jaro-Winkler alone overrates long shared prefixes.
+function titleSimilarity(a, b) {
+  let best = 0;
+  for (const ta of titleVariants(a)) {
+    for (const tb of titleVariants(b)) {
+      const tri = trigramSimilarity(ta.grams, tb.grams);
+      if (tri < 0.5) continue;
+      best = Math.max(best, (tri + jaroWinkler(ta.text, tb.text)) / 2);
     }
   }
+  return best;
+}
+
+function surname(name) {
+  const parts = (name || '').toLowerCase().replace(/[.,]/g, ' ').trim().split(/\s+/);
+  // "Smith J" (PubMed) vs "John Smith" (S2/OpenAlex): compare the longest token
+  return parts.sort((x, y) => y.length - x.length)[0] || '';
+}
+
+// true = first authors agree, false = they conflict, null = can't tell (missing or different scripts)
+function authorsAgree(a, b) {
+  const fa = a.authors?.[0];
+  const fb = b.authors?.[0];
+  if (!fa || !fb || isJapanese(fa) !== isJapanese(fb)) return null;
+  const sa = new Set(a.authors.slice(0, 3).map(surname));
+  return b.authors.slice(0, 3).some(n => sa.has(surname(n)));
+}
+
+// Same identifier type with different values → different works (a preprint DOI may differ)
+function idsConflict(a, b) {
+  for (const type of ID_TYPES) {
+    const va = a.ids?.[type];
+    const vb = b.ids?.[type];
+    if (!va || !vb || va === vb) continue;
+    if (type === 'doi' && (PREPRINT_DOI.test(va) || PREPRINT_DOI.test(vb))) continue;
+    return true;
+  }
+  return false;
+}
+
+// Returns the similarity when b is a fuzzy duplicate of a, else 0
+function fuzzyDuplicate(a, b) {
+  if (a.year && b.year && Math.abs(a.year - b.year) > YEAR_TOLERANCE) return 0;
+  if (idsConflict(a, b)) return 0;
+  const agree = authorsAgree(a, b);
+  if (agree === false) return 0;
+  const sim = titleSimilarity(a, b);
+  return sim >= (agree ? TITLE_MATCH_WITH_AUTHOR : TITLE_MATCH_MIN) ? sim : 0;
+}
+
+// ── Relevance Score ──────────────────────────────────────────
+// score (0–100) = weighted sum of components, each 0–1:
+//   match     query concepts found in title (full) or abstract (partial)
+//   evidence  EV_RANK, guideline = 1 … other = 0
+//   recency   halves at RECENCY_HALF_LIFE years old
+//   citations citations per year since publication, log-scaled
+//   sources   number of databases in foundIn
+
+const SCORE_WEIGHTS = { match: 0.4, evidence: 0.25, recency: 0.15, citations: 0.1, sources: 0.1 };
+const RECENCY_HALF_LIFE = 5;
+const CITATIONS_PER_YEAR_CAP = 50;
+const ABSTRACT_MATCH = 0.5;
+const BOOST_WEIGHT = 0.1;
+const SORT_MODES = ['year', 'score'];
+
+// One concept per positive query term; a concept matches if any synonym does
+function scoreConcepts(tree) {
+  return queryTerms(tree).map(term =>
+    [...new Set([term, ...(SYN_MAP.get(normalizeTerm(term)) || [])])]
+      .map(t => t.toLowerCase())
+      .filter(t => t.length > 1));
+}
+
+function conceptMatch(concepts, title, abstract) {
+  if (!concepts.length) return 0;
+  let total = 0;
+  for (const variants of concepts) {
+    if (variants.some(v => title.includes(v))) total += 1;
+    else if (variants.some(v => abstract.includes(v))) total += ABSTRACT_MATCH;
+  }
+  return total / concepts.length;
+}
+
+// Scores results in place against the original and translated query trees.
+// Optional boost trees (PICO outcomes) add up to BOOST_WEIGHT without penalising misses.
+// Abstracts are only fetched for scoring and are dropped from the results afterwards.
+function scoreResults(results, tree, translatedTree, { boost = null, translatedBoost = null } = {}) {
+  const conceptSets = [scoreConcepts(tree)];
+  if (translatedTree) conceptSets.push(scoreConcepts(translatedTree));
+  const boostSets = [boost, translatedBoost].filter(Boolean).map(scoreConcepts);
+  const thisYear = new Date().getFullYear();
 
-  return { results: [...map.values()], sourceCounts };
+  for (const r of results) {
+    const title = (r.title || '').toLowerCase();
+    const abstract = (r.abstract || '').toLowerCase();
+    const age = r.year ? Math.max(0, thisYear - r.year) : null;
+    const components = {
+      match: Math.max(...conceptSets.map(c => conceptMatch(c, title, abstract))),
+      evidence: 1 - (EV_RANK[r.evidenceLevel] ?? 7) / 7,
+      recency: age === null ? 0 : Math.pow(0.5, age / RECENCY_HALF_LIFE),
+      citations: Math.min(1,
+        Math.log1p((r.citations || 0) / ((age ?? 0) + 1)) / Math.log1p(CITATIONS_PER_YEAR_CAP)),
+      sources: Math.min(1, ((r.foundIn || [r.source]).length - 1) / 3),
+    };
+    let score = 0;
+    for (const [k, w] of Object.entries(SCORE_WEIGHTS)) {
+      score += w * components[k];
+      components[k] = Math.round(components[k] * 100) / 100;
+    }
+    if (boostSets.length) {
+      const boostMatch = Math.max(...boostSets.map(c => conceptMatch(c, title, abstract)));
+      score = Math.min(1, score + BOOST_WEIGHT * boostMatch);
+      components.boost = Math.round(boostMatch * 100) / 100;
+    }
+    r.score = Math.round(score * 100);
+    r.scoreComponents = components;
+    delete r.abstract;
+  }
+  return results;
 }
 
 // ── Grouping ──────────────────────────────────────────────────
@@ -1275,15 +4229,21 @@ const EVIDENCE_ORDER = [
   'observational', 'case_report', 'review', 'other',
 ];
 
-function groupByEvidence(results) {
+// sort: 'year' (newest first) or 'score' (highest first, newest breaks ties);
+// retracted/corrected results always last (see correctionRank)
+function groupByEvidence(results, sort = 'year') {
   const grouped = {};
   for (const level of EVIDENCE_ORDER) grouped[level] = [];
   for (const r of results) {
     const level = grouped[r.evidenceLevel] ? r.evidenceLevel : 'other';
     grouped[level].push(r);
   }
+  const byYear = (a, b) => (b.year || 0) - (a.year || 0);
+  const byOrder = sort === 'score' ? (a, b) => (b.score || 0) - (a.score || 0) || byYear(a, b) : byYear;
+  // Retracted / corrected items go to the bottom of their group
+  const compare = (a, b) => correctionRank(a) - correctionRank(b) || byOrder(a, b);
   for (const level of EVIDENCE_ORDER) {
-    grouped[level].sort((a, b) => (b.year || 0) - (a.year || 0));
+    grouped[level].sort(compare);
   }
   return grouped;
 }
@@ -1304,12 +4264,19 @@ async function handleAIParse(body, cors) {
   "disease": "疾患名（MeSH用語推奨）",
   "treatment": "治療法・介入（該当する場合）",
   "topic": "関心事項（予後、合併症、診断など）",
+  "population": "P: 対象患者・集団（疾患名、年齢層など）",
+  "intervention": "I: 介入・曝露",
+  "comparison": "C: 比較対照（プラセボ、標準治療など）",
+  "outcome": "O: アウトカム（死亡率、疼痛、QOLなど）",
+  "design": "研究デザイン（${EVIDENCE_ORDER.filter(l => l !== 'other').join(' / ')} のいずれか）",
   "patientVoice": true/false（患者体験・質的研究も検索すべきか）,
   "interpretation": "入力をどう解釈したか（日本語で1文）"
 }
 
 注意:
 - 疾患名・治療法はできるだけMeSH用語（英語）を使用
+- population / intervention / comparison / outcome はPICOの各要素（MeSH用語推奨）
+- designは質問に最適な研究デザイン（治療効果ならrct、総括的な問いならsr_maなど）
 - 該当しないフィールドは空文字""に
 - 患者の体験や生活の質に関する質問ならpatientVoiceをtrue`;
 
@@ -1340,6 +4307,8 @@ async function handleAIParse(body, cors) {
     if (!jsonMatch) return json({ error: 'Failed to parse AI response' }, 500, cors);
 
     const parsed = JSON.parse(jsonMatch[0]);
+    // Drop designs /api/search would reject
+    if (parsed.design && !EVIDENCE_ORDER.includes(parsed.design)) parsed.design = '';
     return json(parsed, 200, cors);
   } catch (e) {
     return json({ error: 'AI parse failed' }, 500, cors);
@@ -1417,58 +4386,28 @@ const QUAL_TERMS_JA = [
   '質的研究', 'ナラティブ', '患者報告アウトカム', '当事者',
 ];
 
-async function searchPatientVoice(queryParts, translatedParts) {
-  const baseQuery = queryParts.join(' ');
-  const qualEn = QUAL_TERMS.slice(0, 4).map(t => `"${t}"`).join(' OR ');
-  const qualJa = QUAL_TERMS_JA.slice(0, 4).join(' OR ');
-  const isJa = isJapanese(baseQuery);
-
-  // For English DBs (PubMed/EPMC): use English query parts
-  // If query is Japanese, auto-translate for PubMed/EPMC
-  let enParts = queryParts;
-  let enBase = baseQuery;
-  if (isJa) {
-    if (translatedParts && translatedParts.length > 0) {
-      enParts = translatedParts;
-      enBase = translatedParts.join(' ');
-    } else {
-      // Auto-translate Japanese → English for PubMed/EPMC
-      const translations = await Promise.allSettled(
-        queryParts.map(q => translate(q, 'ja', 'en'))
-      );
-      const autoTranslated = translations
-        .map(t => t.status === 'fulfilled' && t.value ? t.value : null)
-        .filter(Boolean);
-      if (autoTranslated.length > 0) {
-        enParts = autoTranslated;
-        enBase = autoTranslated.join(' ');
-      }
-    }
-  }
+// PubMed qualitative filter (used by SOURCES.pubmed.patientVoice)
+const PV_PUBMED_FILTER = '("qualitative research"[Publication Type] OR "patient reported outcome"[tw] OR "lived experience"[tw] OR "quality of life"[tw] OR "patient experience"[tw] OR "patient perspective"[tw])';
 
-  const searches = [
-    searchPatientVoicePubMed(enParts),
-    searchEPMC(`${enBase} AND (${qualEn})`),
-    // S2: qualitative terms in query
-    searchS2(`${enBase} qualitative patient experience quality of life`),
-    // OpenAlex: broad qualitative search
-    searchOpenAlex(`${enBase} patient experience qualitative`),
-    // DOAJ: open access qualitative research
-    searchDOAJ(`${enBase} qualitative patient`),
-    // Cochrane: qualitative evidence synthesis (delay to avoid PubMed rate collision)
-    delay(2000).then(() => searchCochrane([...enParts, '"qualitative"'])),
-  ];
+async function searchPatientVoice(tree, translatedTree, sourceKeys = SOURCE_KEYS, filters = null, sort = 'year') {
+  const isJa = isJapanese(queryTerms(tree).join(' '));
 
-  // Japanese qualitative search (J-STAGE / CiNii)
+  // For English DBs (PubMed/EPMC): use the English query tree
+  // If query is Japanese, auto-translate for PubMed/EPMC
+  let enTree = tree;
   if (isJa) {
-    searches.push(searchJStage(`${baseQuery} ${QUAL_TERMS_JA[0]}`));
-    searches.push(searchCiNii(`${baseQuery} ${qualJa.split(' OR ')[0]}`));
+    enTree = translatedTree || await translateQueryTree(tree, 'ja', 'en') || tree;
   }
 
-  // Translated query for broader coverage (non-Japanese → add J-STAGE/CiNii)
-  if (translatedParts && translatedParts.length > 0 && !isJa) {
-    const transQuery = translatedParts.join(' ');
-    searches.push(searchJStage(`${transQuery} ${QUAL_TERMS_JA[0]}`));
+  // Each adapter builds its own qualitative query (see SOURCES[].patientVoice)
+  const ctx = { tree, isJa, enTree, translatedTree: isJa ? null : translatedTree };
+  const searches = [];
+  for (const key of sourceKeys) {
+    const build = SOURCES[key].patientVoice;
+    if (!build || sourceExcludedByFilters(SOURCES[key], filters)) continue;
+    for (const { tree: pvTree, limit } of build(ctx)) {
+      searches.push(runSource(key, pvTree, limit ? { limit, filters } : { filters }));
+    }
   }
 
   const settled = await Promise.allSettled(searches);
@@ -1477,83 +4416,306 @@ async function searchPatientVoice(queryParts, translatedParts) {
     if (s.status === 'fulfilled') allResults.push(...s.value);
   }
 
-  // Dedup and tag as patient voice
-  const { results } = deduplicateAndMerge(allResults);
-  return results.map(r => ({ ...r, isPatientVoice: true })).slice(0, 50);
+  // Dedup, score and tag as patient voice
+  const { results } = deduplicateAndMerge(allResults, sourceKeys);
+  const scored = scoreResults(applyResultFilters(results, filters), tree, isJa ? enTree : translatedTree);
+  if (sort === 'score') scored.sort((a, b) => b.score - a.score);
+  return scored.map(r => ({ ...r, isPatientVoice: true })).slice(0, 50);
 }
 
-async function searchPatientVoicePubMed(queryParts) {
-  const diseaseQuery = queryParts.join(' AND ');
-  const qualFilter = '("qualitative research"[Publication Type] OR "patient reported outcome"[tw] OR "lived experience"[tw] OR "quality of life"[tw] OR "patient experience"[tw] OR "patient perspective"[tw])';
-  const query = `(${diseaseQuery}) AND ${qualFilter}`;
+// ── Local Search Index (BM25) ────────────────────────────────
+// Inverted indexes over GUIDELINES (title, diseases) and CQ_DATA (q, kw), built
+// at isolate start (module scope) so requests only look up. Japanese runs are indexed as character bigrams,
+// Latin text as lower-cased word tokens. A document matches a query term when it
+// contains most of the term's tokens, or when one of its keywords lies inside the term.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MIN_TERM_COVERAGE = 0.6;
+// Kanji, kana (without the middle dot) and the long-vowel mark
+const CJK_CHARS = '\u3005\u3006\u3041-\u3096\u30a1-\u30fa\u30fc\u3400-\u9fff\uf900-\ufaff';
+const CJK_RUN = new RegExp(`[${CJK_CHARS}]+`, 'gu');
+const CJK_TEXT = new RegExp(`^[${CJK_CHARS}]+$`, 'u');
+const WORD_RUN = /[a-z0-9]+/g;
+const SUGGEST_LIMIT = 15;
+
+// Kana- and variant-kanji-insensitive (see normalizeTerm)
+function indexText(text) {
+  return normalizeTerm(text);
+}
 
-  const searchUrl =
-    `${PUBMED_BASE}/esearch.fcgi?db=pubmed` +
-    `&term=${encodeURIComponent(query)}` +
-    `&retmax=20&retmode=json&sort=relevance` +
-    `&tool=evidence-navigator&email=evidence-navigator@example.com`;
+function stemWord(w) {
+  return w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w;
+}
 
-  const searchRes = await fetch(searchUrl, { signal: AbortSignal.timeout(8000) });
-  if (!searchRes.ok) throw new Error(`PubMed PV search HTTP ${searchRes.status}`);
-  const searchData = await searchRes.json();
-  const ids = searchData?.esearchresult?.idlist || [];
-  if (!ids.length) return [];
+// [{ t, start, end }] with offsets into indexText(text)
+function tokenize(text) {
+  const s = indexText(text);
+  const tokens = [];
+  for (const m of s.matchAll(CJK_RUN)) {
+    const run = m[0];
+    if (run.length === 1) tokens.push({ t: run, start: m.index, end: m.index + 1 });
+    for (let i = 0; i + 1 < run.length; i++) {
+      tokens.push({ t: run.slice(i, i + 2), start: m.index + i, end: m.index + i + 2 });
+    }
+  }
+  for (const m of s.matchAll(WORD_RUN)) {
+    tokens.push({ t: stemWord(m[0]), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
 
-  const sumUrl =
-    `${PUBMED_BASE}/esummary.fcgi?db=pubmed` +
-    `&id=${ids.join(',')}` +
-    `&retmode=json` +
-    `&tool=evidence-navigator&email=evidence-navigator@example.com`;
-
-  const sumRes = await fetch(sumUrl, { signal: AbortSignal.timeout(8000) });
-  if (!sumRes.ok) throw new Error(`PubMed PV summary HTTP ${sumRes.status}`);
-  const sumData = await sumRes.json();
-
-  const articles = [];
-  for (const id of ids) {
-    const a = sumData?.result?.[id];
-    if (!a || !a.title) continue;
-    const pubTypes = a.pubtype || [];
-    const doi = (a.articleids || []).find(x => x.idtype === 'doi')?.value || '';
-    articles.push({
-      id: `pm-${id}`,
-      title: strip(a.title),
-      authors: (a.authors || []).map(x => x.name).slice(0, 5),
-      journal: a.source || '',
-      year: yearOf(a.pubdate || ''),
-      pubTypes,
-      evidenceLevel: classifyPubType(pubTypes),
-      doi,
-      url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
-      source: 'PubMed',
-    });
+// docs: [{ <field>: string | string[] }]; weights: { <field>: number };
+// entryField: the keyword list also matched by containment in the query term
+function buildIndex(docs, weights, entryField) {
+  const fields = Object.keys(weights);
+  const postings = new Map();
+  const charGrams = new Map();
+  const entries = new Map();
+  const totals = Object.fromEntries(fields.map(f => [f, 0]));
+  const lengths = docs.map((doc, i) => {
+    const len = {};
+    for (const f of fields) {
+      const tokens = [doc[f]].flat().flatMap(v => tokenize(v).map(x => x.t));
+      len[f] = tokens.length;
+      totals[f] += tokens.length;
+      for (const t of tokens) {
+        let p = postings.get(t);
+        if (!p) {
+          postings.set(t, p = new Map());
+          if (t.length === 2 && CJK_TEXT.test(t)) {
+            for (const c of t) (charGrams.get(c) || charGrams.set(c, new Set()).get(c)).add(t);
+          }
+        }
+        const tf = p.get(i) || p.set(i, {}).get(i);
+        tf[f] = (tf[f] || 0) + 1;
+      }
+    }
+    for (const e of doc[entryField] || []) {
+      const key = indexText(e).trim();
+      if (key.length >= 2) (entries.get(key) || entries.set(key, new Set()).get(key)).add(i);
+    }
+    return len;
+  });
+  const avg = Object.fromEntries(fields.map(f => [f, totals[f] / (docs.length || 1)]));
+  return {
+    docs, weights, fieldWeights: Object.entries(weights), entryField,
+    postings, charGrams, entries, lengths, avg, n: docs.length, tokenCache: new Map(),
+  };
+}
+
+function bm25(index, token, doc) {
+  const p = index.postings.get(token);
+  const tf = p?.get(doc);
+  if (!tf) return 0;
+  const idf = Math.log(1 + (index.n - p.size + 0.5) / (p.size + 0.5));
+  let s = 0;
+  for (const [f, w] of index.fieldWeights) {
+    const n = tf[f];
+    if (!n) continue;
+    const norm = 1 - BM25_B + BM25_B * index.lengths[doc][f] / (index.avg[f] || 1);
+    s += w * n * (BM25_K1 + 1) / (n + BM25_K1 * norm);
   }
-  return articles;
+  return idf * s;
 }
 
-// ── National Guidelines Local Search ─────────────────────────
+// Keyword entries that occur inside the term (Latin entries on word boundaries)
+function containedEntries(index, term) {
+  const found = [];
+  for (let i = 0; i < term.length; i++) {
+    for (let j = i + 2; j <= term.length; j++) {
+      const sub = term.slice(i, j);
+      if (!index.entries.has(sub)) continue;
+      const latin = /^[a-z0-9]/.test(sub) || /[a-z0-9]$/.test(sub);
+      if (latin && (/[a-z0-9]/.test(term[i - 1] || '') || /[a-z0-9]/.test(term[j] || ''))) continue;
+      found.push(sub);
+    }
+  }
+  return found;
+}
 
-function searchNationalGuidelines(queryParts, translatedParts) {
-  const allTerms = [...queryParts];
-  if (translatedParts) allTerms.push(...translatedParts);
-  const terms = allTerms.map(t => t.toLowerCase());
+// One term's matches → Map doc → { score, tokens: Set, char: the lone character or null }
+function termMatches(index, term) {
+  const out = new Map();
+  const tokens = [...new Set(tokenize(term).map(x => x.t))];
+  if (!tokens.length) return out;
+  const found = new Map();
+  const add = (doc, token) => (found.get(doc) || found.set(doc, new Set()).get(doc)).add(token);
+
+  // A lone kanji/kana matches through every bigram that contains it
+  const single = tokens.length === 1 && term.length === 1 && index.charGrams.has(term);
+  for (const t of single ? index.charGrams.get(term) : tokens) {
+    for (const doc of index.postings.get(t)?.keys() || []) add(doc, t);
+  }
+  const need = single ? 1 : Math.max(1, Math.ceil(tokens.length * MIN_TERM_COVERAGE));
+  const contained = new Set();
+  for (const entry of containedEntries(index, term)) {
+    for (const doc of index.entries.get(entry)) contained.add(doc);
+  }
 
-  const scored = [];
-  for (const gl of GUIDELINES) {
-    let score = 0;
-    const keywords = gl.diseases.map(d => d.toLowerCase());
-    const titleLower = gl.title.toLowerCase();
+  for (const [doc, matched] of found) {
+    if (matched.size < need && !contained.has(doc)) continue;
+    if (single) {
+      // Scored by its best bigram; only the character itself is highlighted
+      out.set(doc, { score: Math.max(...[...matched].map(t => bm25(index, t, doc))), tokens: new Set(), char: term });
+    } else {
+      let score = 0;
+      for (const t of matched) score += bm25(index, t, doc);
+      out.set(doc, { score, tokens: matched, char: null });
+    }
+  }
+  return out;
+}
+
+// groups: [term | [synonyms]]; a group counts once per document, by its best-scoring
+// member, so a concept with many synonyms does not outweigh one with few.
+// → [{ doc, score, terms: [query terms], tokens: Set }] best first
+function searchIndex(index, groups) {
+  const hits = new Map();
+  const hitFor = doc => hits.get(doc) || hits.set(doc, { doc, score: 0, terms: [], tokens: new Set(), chars: new Set() }).get(doc);
+  const seen = new Set();
 
+  for (const group of groups) {
+    const terms = [...new Set([group].flat().map(t => indexText(t).trim()).filter(Boolean))];
+    const key = terms.slice().sort().join('\u0000');
+    if (!terms.length || seen.has(key)) continue;
+    seen.add(key);
+    const best = new Map();
     for (const term of terms) {
-      if (keywords.some(k => k === term)) score += 10;
-      else if (keywords.some(k => k.includes(term) || term.includes(k))) score += 5;
-      if (titleLower.includes(term)) score += 3;
+      for (const [doc, m] of termMatches(index, term)) {
+        if (!best.has(doc) || m.score > best.get(doc).score) best.set(doc, { ...m, term });
+      }
+    }
+    for (const [doc, m] of best) {
+      const h = hitFor(doc);
+      h.terms.push(m.term);
+      h.score += m.score;
+      for (const t of m.tokens) h.tokens.add(t);
+      if (m.char) h.chars.add(m.char);
+    }
+  }
+  return [...hits.values()].sort((a, b) => b.score - a.score);
+}
+
+// Tokenized field values of one document, cached per isolate
+function docTokens(index, doc) {
+  let cached = index.tokenCache.get(doc);
+  if (!cached) {
+    const d = index.docs[doc];
+    cached = index.fieldWeights.map(([f]) => [f, [d[f]].flat().filter(Boolean).map(text => ({
+      text,
+      tokens: tokenize(text).sort((a, b) => a.start - b.start),
+      // Offsets are only valid when normalization kept the length
+      aligned: indexText(text).length === text.length,
+    }))]);
+    index.tokenCache.set(doc, cached);
+  }
+  return cached;
+}
+
+// Why a document matched: { terms, fields: { <field>: [highlight substrings | matched entries] } }
+function matchDetails(index, hit) {
+  const fields = {};
+  for (const [f, values] of docTokens(index, hit.doc)) {
+    const out = [];
+    for (const { text, tokens, aligned } of values) {
+      const spans = [];
+      for (const x of tokens) {
+        let { start, end } = x;
+        if (!hit.tokens.has(x.t)) {
+          // A single-character term highlights just that character
+          if (!hit.chars.size) continue;
+          const i = hit.chars.has(x.t[0]) ? 0 : hit.chars.has(x.t[1]) ? 1 : -1;
+          if (i < 0) continue;
+          start += i;
+          end = start + 1;
+        }
+        const last = spans[spans.length - 1];
+        if (last && start <= last.end) last.end = Math.max(last.end, end);
+        else spans.push({ start, end });
+      }
+      if (!spans.length) continue;
+      if (f === index.entryField) { out.push(text); continue; }
+      if (!aligned) continue;
+      for (const s of spans) {
+        const part = text.slice(s.start, s.end);
+        if (!out.includes(part)) out.push(part);
+      }
     }
+    if (out.length) fields[f] = out;
+  }
+  return { terms: hit.terms, fields };
+}
+
+const LOCAL_INDEXES = buildLocalIndexes();
+
+function buildLocalIndexes() {
+  const gl = buildIndex(
+    GUIDELINES.map(g => ({ title: [g.title, g.titleEn].filter(Boolean), diseases: g.diseases })),
+    { title: 1, diseases: 2 }, 'diseases');
+  const cq = buildIndex(
+    CQ_DATA.map(c => ({ q: c.q, kw: c.kw })),
+    { q: 1, kw: 2 }, 'kw');
+
+  // Suggest vocabulary: distinct CQ keywords, GL disease names and thesaurus terms, with a char → entries index.
+  // Readings are keys of their Japanese label (のうそっちゅう → 脳卒中).
+  const vocab = new Map();
+  const addTerm = (term, key = normalizeTerm(term)) => {
+    const v = vocab.get(key);
+    if (v) v.count++;
+    else vocab.set(key, { term, key, count: 1 });
+  };
+  for (const c of CQ_DATA) c.kw.forEach(t => addTerm(t));
+  for (const g of GUIDELINES) g.diseases.forEach(t => addTerm(t));
+  for (const c of THESAURUS) {
+    conceptTerms(c).forEach(t => addTerm(t));
+    if (c.reading) addTerm(c.ja, normalizeTerm(c.reading));
+  }
+  const terms = [...vocab.values()];
+  const chars = new Map();
+  terms.forEach((v, i) => {
+    for (const c of new Set(v.key)) (chars.get(c) || chars.set(c, []).get(c)).push(i);
+  });
+  return { gl, cq, suggest: { terms, chars } };
+}
+
+// Vocabulary entries containing q (normalized): intersect the per-character lists, then verify
+function suggestTerms(q) {
+  const { terms, chars } = LOCAL_INDEXES.suggest;
+  const lists = [...new Set(q)].map(c => chars.get(c) || []).sort((a, b) => a.length - b.length);
+  if (!lists.length || !lists[0].length) return [];
+  return lists[0].map(i => terms[i]).filter(v => v.key.includes(q));
+}
+
+// Vocabulary entries close to a misspelled q (normalized), closest first
+function fuzzyTerms(q) {
+  return LOCAL_INDEXES.suggest.terms
+    .map(v => ({ ...v, distance: fuzzyDistance(q, v.key) }))
+    .filter(v => v.distance !== null)
+    .sort((a, b) => a.distance - b.distance || b.count - a.count);
+}
+
+// "Did you mean": the closest vocabulary term for each query term found nowhere
+// in the vocabulary → [{ term, suggestion }]
+function spellingCorrections(terms) {
+  const out = [];
+  for (const term of new Set(terms)) {
+    const q = normalizeTerm(term).trim();
+    if (!q || suggestTerms(q).length) continue;
+    const best = fuzzyTerms(q)[0];
+    if (best && normalizeTerm(best.term) !== q) out.push({ term, suggestion: best.term });
+  }
+  return out;
+}
+
+// ── National Guidelines Local Search ─────────────────────────
 
-    if (score > 0) {
-      // Recency bonus: newer GLs get up to +5 points (2025=+5, 2020=+2.5, 2015=0)
-      const recency = Math.max(0, Math.min(5, ((gl.year || 2015) - 2015) * 0.5));
-      scored.push({
+function searchNationalGuidelines(queryParts, translatedParts) {
+  const index = LOCAL_INDEXES.gl;
+  return searchIndex(index, [...queryParts, ...(translatedParts || [])])
+    .map(hit => {
+      const gl = GUIDELINES[hit.doc];
+      return {
         id: `gl-${gl.id}`,
         title: gl.title,
         organization: gl.org,
@@ -1561,63 +4723,47 @@ function searchNationalGuidelines(queryParts, translatedParts) {
         year: gl.year,
         url: gl.url,
         diseases: gl.diseases,
-        score: score + recency,
+        score: Math.round(hit.score * 100) / 100,
+        matched: matchDetails(index, hit),
         source: '国内GL',
         evidenceLevel: 'guideline',
-      });
-    }
-  }
-
-  scored.sort((a, b) => b.score - a.score || (b.year || 0) - (a.year || 0));
-  return scored;
+      };
+    })
+    .sort((a, b) => b.score - a.score || (b.year || 0) - (a.year || 0));
 }
 
 // ── Clinical Questions Local Search ───────────────────────────
 
-function searchClinicalQuestions(queryParts, translatedParts) {
-  const allTerms = [...queryParts];
-  if (translatedParts) allTerms.push(...translatedParts);
-  const terms = allTerms.map(t => t.toLowerCase());
-
-  // Build guideline lookup for title/org
-  const glMap = new Map();
-  for (const gl of GUIDELINES) glMap.set(gl.id, gl);
+const CQ_EV_ORDER = { A: 0, B: 1, C: 2, D: 3 };
 
-  const scored = [];
-  for (const cq of CQ_DATA) {
-    let score = 0;
-    const kwLower = cq.kw.map(k => k.toLowerCase());
-    const qLower = cq.q.toLowerCase();
-
-    for (const term of terms) {
-      if (kwLower.some(k => k === term)) score += 10;
-      else if (kwLower.some(k => k.includes(term) || term.includes(k))) score += 5;
-      if (qLower.includes(term)) score += 3;
-    }
+function searchClinicalQuestions(queryParts, translatedParts) {
+  const index = LOCAL_INDEXES.cq;
+  const glMap = getCatalog().byId;
 
-    if (score > 0) {
-      // Evidence level bonus: A=+4, B=+3, C=+2, D=+1, -=0
-      const evBonus = { A: 4, B: 3, C: 2, D: 1 }[cq.ev] || 0;
-      const gl = glMap.get(cq.gid);
-      scored.push({
-        gid: cq.gid,
-        cq: cq.cq,
-        question: cq.q,
-        type: cq.type,
-        recommendation: cq.rec,
-        evidenceLevel: cq.ev,
-        keywords: cq.kw,
-        guidelineTitle: gl ? gl.title : '',
-        guidelineOrg: gl ? gl.org : '',
-        guidelineUrl: gl ? gl.url : '',
-        country: gl ? (gl.country || 'JP') : 'JP',
-        page: cq.page || null,
-        score: score + evBonus,
-      });
-    }
-  }
+  const scored = searchIndex(index, [...queryParts, ...(translatedParts || [])]).map(hit => {
+    const cq = CQ_DATA[hit.doc];
+    const gl = glMap.get(cq.gid);
+    return {
+      gid: cq.gid,
+      cq: cq.cq,
+      question: cq.q,
+      type: cq.type,
+      recommendation: cq.rec,
+      evidenceLevel: cq.ev,
+      normalized: normalizeRecommendation(cq.rec, cq.ev),
+      keywords: cq.kw,
+      guidelineTitle: gl ? gl.title : '',
+      guidelineOrg: gl ? gl.org : '',
+      guidelineUrl: gl ? gl.url : '',
+      country: gl ? (gl.country || 'JP') : 'JP',
+      page: cq.page || null,
+      score: Math.round(hit.score * 100) / 100,
+      matched: matchDetails(index, hit),
+    };
+  });
 
-  scored.sort((a, b) => b.score - a.score);
+  // Ties: stronger evidence first
+  scored.sort((a, b) => b.score - a.score || (CQ_EV_ORDER[a.evidenceLevel] ?? 4) - (CQ_EV_ORDER[b.evidenceLevel] ?? 4));
 
   // Diversify: ensure top results include different countries
   // Take top CQ from each country first, then fill with remaining by score
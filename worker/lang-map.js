@@ -1,3 +0,0 @@
-// English-Japanese keyword mapping for cross-language CQ search
-export const EN_JA_MAP = {"stroke": "脳卒中", "cerebral infarction": "脳梗塞", "cerebral hemorrhage": "脳出血", "traumatic brain injury": "外傷性脳損傷", "brain injury": "脳損傷", "acquired brain injury": "後天性脳損傷", "concussion": "脳震盪", "spinal cord injury": "脊髄損傷", "multiple sclerosis": "多発性硬化症", "parkinson's disease": "パーキンソン病", "dementia": "認知症", "cerebral palsy": "脳性麻痺", "epilepsy": "てんかん", "myasthenia gravis": "重症筋無力症", "muscular dystrophy": "筋ジストロフィー", "guillain-barré": "ギランバレー症候群", "low back pain": "腰痛", "neck pain": "頸部痛", "knee oa": "膝OA", "hip oa": "股関節OA", "osteoarthritis": "変形性関節症", "rheumatoid arthritis": "関節リウマチ", "osteoporosis": "骨粗鬆症", "hip fracture": "大腿骨骨折", "fracture": "骨折", "amputation": "切断", "achilles tendinopathy": "アキレス腱症", "shoulder pain": "肩痛", "lateral epicondylitis": "外側上顆炎", "tennis elbow": "テニス肘", "hallux valgus": "外反母趾", "cardiac rehabilitation": "心臓リハ", "heart failure": "心不全", "myocardial infarction": "心筋梗塞", "pulmonary rehabilitation": "呼吸リハ", "lung cancer": "肺がん", "covid-19": "COVID-19", "cancer": "がん", "cancer rehabilitation": "がんリハ", "peripheral neuropathy": "末梢神経障害", "delirium": "せん妄", "rehabilitation": "リハビリテーション", "physical therapy": "理学療法", "occupational therapy": "作業療法", "speech therapy": "言語療法", "exercise": "運動療法", "aerobic exercise": "有酸素運動", "resistance training": "筋力トレーニング", "strength training": "筋力トレーニング", "gait training": "歩行訓練", "upper limb": "上肢", "lower limb": "下肢", "upper extremity": "上肢", "lower extremity": "下肢", "spasticity": "痙縮", "botulinum toxin": "ボツリヌス毒素", "functional electrical stimulation": "機能的電気刺激", "electrical stimulation": "電気刺激", "constraint-induced movement therapy": "CI療法", "mirror therapy": "ミラーセラピー", "virtual reality": "仮想現実", "robot-assisted": "ロボット支援", "telerehabilitation": "遠隔リハ", "dysphagia": "嚥下障害", "aphasia": "失語症", "dysarthria": "構音障害", "cognitive rehabilitation": "認知リハ", "depression": "うつ", "chronic pain": "慢性疼痛", "neuropathic pain": "神経障害性疼痛", "pressure injury": "褥瘡", "falls": "転倒", "fall prevention": "転倒予防", "incontinence": "失禁", "overactive bladder": "過活動膀胱", "lymphedema": "リンパ浮腫", "burn": "熱傷", "sepsis": "敗血症", "diabetes": "糖尿病", "frailty": "フレイル", "sleep apnea": "睡眠時無呼吸", "visual impairment": "視覚障害", "neglect": "半側無視", "contracture": "拘縮", "nutrition": "栄養", "early mobilization": "早期離床", "early mobilisation": "早期離床", "multidisciplinary": "多職種", "self-management": "自己管理", "patient education": "患者教育", "tai chi": "太極拳", "hydrotherapy": "水治療", "manual therapy": "徒手療法", "traumatic injury": "外傷", "neurological disorder": "神経疾患", "tbi": "外傷性脳損傷", "mtbi": "軽度外傷性脳損傷", "sci": "脊髄損傷", "copd": "COPD", "fes": "機能的電気刺激", "tens": "TENS", "tms": "経頭蓋磁気刺激", "tdcs": "経頭蓋直流刺激", "cimt": "CI療法", "nmes": "神経筋電気刺激", "adl": "日常生活動作", "ckd": "慢性腎臓病", "dvt": "深部静脈血栓症", "als": "筋萎縮性側索硬化症", "rom": "関節可動域"};
-export const JA_EN_MAP = {"脳卒中": "stroke", "脳梗塞": "cerebral infarction", "脳出血": "cerebral hemorrhage", "外傷性脳損傷": "traumatic brain injury", "脳損傷": "brain injury", "後天性脳損傷": "acquired brain injury", "脳震盪": "concussion", "脊髄損傷": "spinal cord injury", "多発性硬化症": "multiple sclerosis", "パーキンソン病": "parkinson's disease", "認知症": "dementia", "脳性麻痺": "cerebral palsy", "てんかん": "epilepsy", "重症筋無力症": "myasthenia gravis", "筋ジストロフィー": "muscular dystrophy", "ギランバレー症候群": "guillain-barré", "腰痛": "low back pain", "頸部痛": "neck pain", "膝OA": "knee oa", "股関節OA": "hip oa", "変形性関節症": "osteoarthritis", "関節リウマチ": "rheumatoid arthritis", "骨粗鬆症": "osteoporosis", "大腿骨骨折": "hip fracture", "骨折": "fracture", "切断": "amputation", "アキレス腱症": "achilles tendinopathy", "肩痛": "shoulder pain", "外側上顆炎": "lateral epicondylitis", "テニス肘": "tennis elbow", "外反母趾": "hallux valgus", "心臓リハ": "cardiac rehabilitation", "心不全": "heart failure", "心筋梗塞": "myocardial infarction", "呼吸リハ": "pulmonary rehabilitation", "肺がん": "lung cancer", "COVID-19": "covid-19", "がん": "cancer", "がんリハ": "cancer rehabilitation", "末梢神経障害": "peripheral neuropathy", "せん妄": "delirium", "リハビリテーション": "rehabilitation", "理学療法": "physical therapy", "作業療法": "occupational therapy", "言語療法": "speech therapy", "運動療法": "exercise", "有酸素運動": "aerobic exercise", "筋力トレーニング": "resistance training", "歩行訓練": "gait training", "上肢": "upper limb", "下肢": "lower limb", "痙縮": "spasticity", "ボツリヌス毒素": "botulinum toxin", "機能的電気刺激": "functional electrical stimulation", "電気刺激": "electrical stimulation", "CI療法": "constraint-induced movement therapy", "ミラーセラピー": "mirror therapy", "仮想現実": "virtual reality", "ロボット支援": "robot-assisted", "遠隔リハ": "telerehabilitation", "嚥下障害": "dysphagia", "失語症": "aphasia", "構音障害": "dysarthria", "認知リハ": "cognitive rehabilitation", "うつ": "depression", "慢性疼痛": "chronic pain", "神経障害性疼痛": "neuropathic pain", "褥瘡": "pressure injury", "転倒": "falls", "転倒予防": "fall prevention", "失禁": "incontinence", "過活動膀胱": "overactive bladder", "リンパ浮腫": "lymphedema", "熱傷": "burn", "敗血症": "sepsis", "糖尿病": "diabetes", "フレイル": "frailty", "睡眠時無呼吸": "sleep apnea", "視覚障害": "visual impairment", "半側無視": "neglect", "拘縮": "contracture", "栄養": "nutrition", "早期離床": "early mobilization", "多職種": "multidisciplinary", "自己管理": "self-management", "患者教育": "patient education", "太極拳": "tai chi", "水治療": "hydrotherapy", "徒手療法": "manual therapy", "外傷": "traumatic injury", "神経疾患": "neurological disorder", "軽度外傷性脳損傷": "mtbi", "COPD": "copd", "TENS": "tens", "経頭蓋磁気刺激": "tms", "経頭蓋直流刺激": "tdcs", "神経筋電気刺激": "nmes", "日常生活動作": "adl", "慢性腎臓病": "ckd", "深部静脈血栓症": "dvt", "筋萎縮性側索硬化症": "als", "関節可動域": "rom"};
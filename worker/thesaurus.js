@@ -0,0 +1,184 @@
+// Medical thesaurus shared by search, translation, suggest and the CQ browser (/api/thesaurus).
+// One entry per concept:
+//   id        stable concept ID
+//   ja / en   preferred labels
+//   reading   hiragana reading of the Japanese label (optional), so kana input finds it
+//   abbr      abbreviations (case as written)
+//   variants  other spellings and synonyms, either language
+//   mesh      MeSH descriptor UI (optional)
+//   broader   parent concept ID (optional): expanding the parent includes this concept
+export const THESAURUS = [
+  // 脳・神経
+  { id: 'stroke', ja: '脳卒中', reading: 'のうそっちゅう', en: 'stroke', abbr: ['CVA'], variants: ['脳血管障害', 'cerebrovascular accident', 'cerebrovascular disease'], mesh: 'D020521' },
+  { id: 'cerebral-infarction', ja: '脳梗塞', reading: 'のうこうそく', en: 'cerebral infarction', variants: ['ischemic stroke'], mesh: 'D002544', broader: 'stroke' },
+  { id: 'cerebral-hemorrhage', ja: '脳出血', reading: 'のうしゅっけつ', en: 'cerebral hemorrhage', variants: ['intracerebral hemorrhage', 'hemorrhagic stroke'], mesh: 'D002543', broader: 'stroke' },
+  { id: 'hemiplegia', ja: '片麻痺', reading: 'へんまひ', en: 'hemiplegia', variants: ['hemiparesis', '半身麻痺'], mesh: 'D006429' },
+  { id: 'tbi', ja: '外傷性脳損傷', reading: 'がいしょうせいのうそんしょう', en: 'traumatic brain injury', abbr: ['TBI'], variants: ['brain injury', '脳損傷', '頭部外傷'], mesh: 'D000070642' },
+  { id: 'acquired-brain-injury', ja: '後天性脳損傷', en: 'acquired brain injury', abbr: ['ABI'] },
+  { id: 'concussion', ja: '脳震盪', reading: 'のうしんとう', en: 'concussion', abbr: ['mTBI'], variants: ['軽度外傷性脳損傷', 'mild traumatic brain injury'], mesh: 'D001924', broader: 'tbi' },
+  { id: 'sci', ja: '脊髄損傷', reading: 'せきずいそんしょう', en: 'spinal cord injury', abbr: ['SCI'], variants: ['脊損'], mesh: 'D013119' },
+  { id: 'multiple-sclerosis', ja: '多発性硬化症', reading: 'たはつせいこうかしょう', en: 'multiple sclerosis', abbr: ['MS'], mesh: 'D009103' },
+  { id: 'parkinson', ja: 'パーキンソン病', reading: 'ぱーきんそんびょう', en: "Parkinson's disease", abbr: ['PD'], variants: ['パーキンソン', 'parkinson', "parkinson's"], mesh: 'D010300' },
+  { id: 'dementia', ja: '認知症', reading: 'にんちしょう', en: 'dementia', variants: ['alzheimer', 'アルツハイマー'], mesh: 'D003704' },
+  { id: 'mci', ja: '軽度認知障害', reading: 'けいどにんちしょうがい', en: 'mild cognitive impairment', abbr: ['MCI'], mesh: 'D060825' },
+  { id: 'cerebral-palsy', ja: '脳性麻痺', reading: 'のうせいまひ', en: 'cerebral palsy', abbr: ['CP'], mesh: 'D002547' },
+  { id: 'als', ja: '筋萎縮性側索硬化症', reading: 'きんいしゅくせいそくさくこうかしょう', en: 'amyotrophic lateral sclerosis', abbr: ['ALS'], mesh: 'D000690' },
+  { id: 'myasthenia-gravis', ja: '重症筋無力症', reading: 'じゅうしょうきんむりょくしょう', en: 'myasthenia gravis', abbr: ['MG'], mesh: 'D009157' },
+  { id: 'epilepsy', ja: 'てんかん', en: 'epilepsy', mesh: 'D004827' },
+  { id: 'muscular-dystrophy', ja: '筋ジストロフィー', en: 'muscular dystrophy', mesh: 'D009136' },
+  { id: 'duchenne', ja: 'デュシェンヌ型筋ジストロフィー', en: 'Duchenne muscular dystrophy', abbr: ['DMD'], variants: ['duchenne'], mesh: 'D020388', broader: 'muscular-dystrophy' },
+  { id: 'guillain-barre', ja: 'ギランバレー症候群', en: 'Guillain-Barré syndrome', abbr: ['GBS'], variants: ['guillain-barré', 'guillain-barre'], mesh: 'D020275' },
+  { id: 'peripheral-neuropathy', ja: '末梢神経障害', reading: 'まっしょうしんけいしょうがい', en: 'peripheral neuropathy', mesh: 'D010523' },
+  { id: 'neurological-disorder', ja: '神経疾患', en: 'neurological disorder' },
+  { id: 'ataxia', ja: '失調', en: 'ataxia', variants: ['運動失調', '小脳失調'], mesh: 'D001259' },
+  { id: 'spasticity', ja: '痙縮', reading: 'けいしゅく', en: 'spasticity', variants: ['痙性'], mesh: 'D009128' },
+  { id: 'aphasia', ja: '失語症', reading: 'しつごしょう', en: 'aphasia', variants: ['失語'], mesh: 'D001037' },
+  { id: 'dysarthria', ja: '構音障害', reading: 'こうおんしょうがい', en: 'dysarthria', mesh: 'D004401' },
+  { id: 'neglect', ja: '半側無視', reading: 'はんそくむし', en: 'neglect', variants: ['半側空間無視', 'unilateral spatial neglect'] },
+  { id: 'cognition', ja: '認知', en: 'cognition', variants: ['cognitive'] },
+  { id: 'autonomic-dysreflexia', ja: '自律神経過反射', en: 'autonomic dysreflexia', mesh: 'D020211' },
+  { id: 'neurogenic-bowel', ja: '神経因性腸', en: 'neurogenic bowel', variants: ['排便障害'] },
+  { id: 'neurogenic-bladder', ja: '神経因性膀胱', reading: 'しんけいいんせいぼうこう', en: 'neurogenic bladder', mesh: 'D001750' },
+  { id: 'bppv', ja: '良性発作性頭位めまい症', en: 'benign paroxysmal positional vertigo', abbr: ['BPPV'], mesh: 'D065635' },
+
+  // 運動器
+  { id: 'low-back-pain', ja: '腰痛', reading: 'ようつう', en: 'low back pain', abbr: ['LBP'], variants: ['back pain'], mesh: 'D017116' },
+  { id: 'neck-pain', ja: '頸部痛', reading: 'けいぶつう', en: 'neck pain', variants: ['頚部痛', '頚椎', 'cervical'], mesh: 'D019547' },
+  { id: 'osteoarthritis', ja: '変形性関節症', reading: 'へんけいせいかんせつしょう', en: 'osteoarthritis', abbr: ['OA'], mesh: 'D010003' },
+  { id: 'knee-oa', ja: '変形性膝関節症', reading: 'へんけいせいひざかんせつしょう', en: 'knee osteoarthritis', abbr: ['膝OA', 'knee OA'], variants: ['gonarthrosis'], mesh: 'D020370', broader: 'osteoarthritis' },
+  { id: 'hip-oa', ja: '変形性股関節症', reading: 'へんけいせいこかんせつしょう', en: 'hip osteoarthritis', abbr: ['股OA', '股関節OA', 'hip OA'], variants: ['coxarthrosis'], mesh: 'D015207', broader: 'osteoarthritis' },
+  { id: 'spondylosis', ja: '変形性脊椎症', en: 'spondylosis', variants: ['脊椎症'], mesh: 'D055009' },
+  { id: 'rheumatoid-arthritis', ja: '関節リウマチ', reading: 'かんせつりうまち', en: 'rheumatoid arthritis', abbr: ['RA'], mesh: 'D001172' },
+  { id: 'osteoporosis', ja: '骨粗鬆症', reading: 'こつそしょうしょう', en: 'osteoporosis', mesh: 'D010024' },
+  { id: 'fracture', ja: '骨折', reading: 'こっせつ', en: 'fracture', mesh: 'D050723' },
+  { id: 'hip-fracture', ja: '大腿骨骨折', reading: 'だいたいこつこっせつ', en: 'hip fracture', variants: ['大腿骨頸部骨折', '大腿骨頚部骨折'], mesh: 'D006620', broader: 'fracture' },
+  { id: 'amputation', ja: '切断', en: 'amputation', mesh: 'D000671' },
+  { id: 'acl', ja: '前十字靱帯', reading: 'ぜんじゅうじじんたい', en: 'anterior cruciate ligament', abbr: ['ACL'], variants: ['前十字靭帯'], mesh: 'D016118' },
+  { id: 'tka', ja: '人工膝関節置換術', en: 'total knee arthroplasty', abbr: ['TKA'], variants: ['人工膝関節'], mesh: 'D019645' },
+  { id: 'tha', ja: '人工股関節置換術', en: 'total hip arthroplasty', abbr: ['THA'], variants: ['人工股関節'], mesh: 'D019644' },
+  { id: 'rotator-cuff', ja: '腱板損傷', reading: 'けんばんそんしょう', en: 'rotator cuff tear', variants: ['腱板', 'rotator cuff'], mesh: 'D000070636' },
+  { id: 'meniscus', ja: '半月板損傷', reading: 'はんげつばんそんしょう', en: 'meniscal tear', variants: ['半月板', 'meniscus'] },
+  { id: 'disc-herniation', ja: '椎間板ヘルニア', reading: 'ついかんばんへるにあ', en: 'disc herniation', variants: ['腰椎椎間板ヘルニア', 'herniated disc'], mesh: 'D007405' },
+  { id: 'spinal-stenosis', ja: '脊柱管狭窄症', reading: 'せきちゅうかんきょうさくしょう', en: 'spinal stenosis', variants: ['腰部脊柱管狭窄症', 'lumbar stenosis'], mesh: 'D013130' },
+  { id: 'shoulder-pain', ja: '肩痛', en: 'shoulder pain', variants: ['肩関節周囲炎', '五十肩', 'frozen shoulder'], mesh: 'D020069' },
+  { id: 'achilles-tendinopathy', ja: 'アキレス腱症', en: 'achilles tendinopathy' },
+  { id: 'lateral-epicondylitis', ja: '外側上顆炎', reading: 'がいそくじょうかえん', en: 'lateral epicondylitis', variants: ['テニス肘', 'tennis elbow'], mesh: 'D013716' },
+  { id: 'hallux-valgus', ja: '外反母趾', reading: 'がいはんぼし', en: 'hallux valgus', mesh: 'D006215' },
+  { id: 'contracture', ja: '拘縮', reading: 'こうしゅく', en: 'contracture', mesh: 'D003286' },
+  { id: 'crps', ja: '複合性局所疼痛症候群', en: 'complex regional pain syndrome', abbr: ['CRPS'], mesh: 'D020918' },
+  { id: 'traumatic-injury', ja: '外傷', en: 'traumatic injury' },
+
+  // 循環器・呼吸器・代謝
+  { id: 'heart-failure', ja: '心不全', reading: 'しんふぜん', en: 'heart failure', abbr: ['HF', 'CHF', 'HFrEF', 'HFpEF'], variants: ['収縮不全', '拡張不全'], mesh: 'D006333' },
+  { id: 'myocardial-infarction', ja: '心筋梗塞', reading: 'しんきんこうそく', en: 'myocardial infarction', abbr: ['MI', 'AMI'], variants: ['急性心筋梗塞'], mesh: 'D009203' },
+  { id: 'cardiac-rehabilitation', ja: '心臓リハ', en: 'cardiac rehabilitation', variants: ['心リハ', '心臓リハビリテーション', 'cardiac rehab'] },
+  { id: 'copd', ja: '慢性閉塞性肺疾患', reading: 'まんせいへいそくせいはいしっかん', en: 'chronic obstructive pulmonary disease', abbr: ['COPD'], mesh: 'D029424' },
+  { id: 'pulmonary-rehabilitation', ja: '呼吸リハ', en: 'pulmonary rehabilitation', variants: ['肺リハ', '呼吸リハビリテーション', 'pulmonary rehab'] },
+  { id: 'asthma', ja: '喘息', reading: 'ぜんそく', en: 'asthma', variants: ['気管支喘息'], mesh: 'D001249' },
+  { id: 'aspiration-pneumonia', ja: '誤嚥性肺炎', reading: 'ごえんせいはいえん', en: 'aspiration pneumonia', variants: ['誤嚥'], mesh: 'D011015' },
+  { id: 'dvt', ja: '深部静脈血栓症', reading: 'しんぶじょうみゃくけっせんしょう', en: 'deep vein thrombosis', abbr: ['DVT'], mesh: 'D020246' },
+  { id: 'vte', ja: '静脈血栓塞栓症', en: 'venous thromboembolism', abbr: ['VTE'], mesh: 'D054556' },
+  { id: 'diabetes', ja: '糖尿病', reading: 'とうにょうびょう', en: 'diabetes', abbr: ['DM'], variants: ['diabetes mellitus'], mesh: 'D003920' },
+  { id: 'ckd', ja: '慢性腎臓病', reading: 'まんせいじんぞうびょう', en: 'chronic kidney disease', abbr: ['CKD'], mesh: 'D051436' },
+  { id: 'hemodialysis', ja: '血液透析', reading: 'けつえきとうせき', en: 'hemodialysis', variants: ['透析', 'dialysis'], mesh: 'D006435' },
+  { id: 'renal-rehabilitation', ja: '腎臓リハ', en: 'renal rehabilitation', variants: ['腎臓リハビリテーション'] },
+  { id: 'sepsis', ja: '敗血症', reading: 'はいけつしょう', en: 'sepsis', mesh: 'D018805' },
+  { id: 'covid-19', ja: '新型コロナウイルス感染症', en: 'COVID-19', variants: ['covid', 'sars-cov-2', 'コロナ'], mesh: 'D000086382' },
+
+  // がん・緩和
+  { id: 'cancer', ja: 'がん', en: 'cancer', variants: ['悪性腫瘍', 'oncology', '癌'], mesh: 'D009369' },
+  { id: 'lung-cancer', ja: '肺がん', reading: 'はいがん', en: 'lung cancer', variants: ['肺癌'], mesh: 'D008175', broader: 'cancer' },
+  { id: 'breast-cancer', ja: '乳がん', reading: 'にゅうがん', en: 'breast cancer', variants: ['乳癌'], mesh: 'D001943', broader: 'cancer' },
+  { id: 'cancer-rehabilitation', ja: 'がんリハ', en: 'cancer rehabilitation', variants: ['がんのリハビリテーション'] },
+  { id: 'lymphedema', ja: 'リンパ浮腫', reading: 'りんぱふしゅ', en: 'lymphedema', variants: ['lymphoedema'], mesh: 'D008209' },
+  { id: 'palliative-care', ja: '緩和ケア', en: 'palliative care', variants: ['palliative', 'hospice', '終末期'], mesh: 'D010166' },
+  { id: 'fatigue', ja: '疲労', en: 'fatigue', variants: ['倦怠感', 'cancer-related fatigue'], mesh: 'D005221' },
+
+  // 症状・老年・その他
+  { id: 'pain', ja: '疼痛', reading: 'とうつう', en: 'pain', variants: ['痛み'], mesh: 'D010146' },
+  { id: 'chronic-pain', ja: '慢性疼痛', reading: 'まんせいとうつう', en: 'chronic pain', mesh: 'D059350' },
+  { id: 'neuropathic-pain', ja: '神経障害性疼痛', en: 'neuropathic pain', mesh: 'D009437' },
+  { id: 'dysphagia', ja: '嚥下障害', reading: 'えんげしょうがい', en: 'dysphagia', variants: ['嚥下', '嚥下訓練', 'swallowing'], mesh: 'D003680' },
+  { id: 'depression', ja: 'うつ病', reading: 'うつびょう', en: 'depression', variants: ['うつ', '抑うつ'], mesh: 'D003863' },
+  { id: 'delirium', ja: 'せん妄', reading: 'せんもう', en: 'delirium', mesh: 'D003693' },
+  { id: 'insomnia', ja: '不眠症', reading: 'ふみんしょう', en: 'insomnia', variants: ['不眠'], mesh: 'D007319' },
+  { id: 'sleep-apnea', ja: '睡眠時無呼吸', en: 'sleep apnea', abbr: ['SAS', 'OSAS'], variants: ['睡眠時無呼吸症候群'], mesh: 'D012891' },
+  { id: 'pressure-injury', ja: '褥瘡', reading: 'じょくそう', en: 'pressure injury', variants: ['褥創', 'じょくそう', 'pressure ulcer', 'decubitus', 'bed sore'], mesh: 'D003668' },
+  { id: 'burn', ja: '熱傷', reading: 'ねっしょう', en: 'burn', variants: ['やけど'], mesh: 'D002056' },
+  { id: 'falls', ja: '転倒', reading: 'てんとう', en: 'falls', variants: ['fall'], mesh: 'D000058' },
+  { id: 'fall-prevention', ja: '転倒予防', en: 'fall prevention', broader: 'falls' },
+  { id: 'frailty', ja: 'フレイル', en: 'frailty', variants: ['虚弱'], mesh: 'D000073496' },
+  { id: 'sarcopenia', ja: 'サルコペニア', en: 'sarcopenia', variants: ['筋肉減少症'], mesh: 'D055948' },
+  { id: 'elderly', ja: '高齢者', en: 'elderly', variants: ['older adults', 'aged'] },
+  { id: 'incontinence', ja: '失禁', reading: 'しっきん', en: 'incontinence', variants: ['尿失禁', 'urinary incontinence'], mesh: 'D014549' },
+  { id: 'overactive-bladder', ja: '過活動膀胱', reading: 'かかつどうぼうこう', en: 'overactive bladder', abbr: ['OAB'], mesh: 'D053201' },
+  { id: 'visual-impairment', ja: '視覚障害', en: 'visual impairment', variants: ['low vision'], mesh: 'D015354' },
+  { id: 'pics', ja: 'ICU後症候群', en: 'post-intensive care syndrome', abbr: ['PICS', 'ICU-AW'], variants: ['icu-acquired weakness'] },
+  { id: 'icu', ja: '集中治療', en: 'intensive care', abbr: ['ICU'], mesh: 'D007362' },
+  { id: 'pregnancy', ja: '妊娠', en: 'pregnancy', variants: ['産後', '周産期', 'prenatal', 'postpartum'], mesh: 'D011247' },
+  { id: 'pelvic-floor', ja: '骨盤底', en: 'pelvic floor', abbr: ['PFMT'], variants: ['骨盤底筋', 'pelvic floor muscle training'], mesh: 'D017773' },
+  { id: 'down-syndrome', ja: 'ダウン症', en: 'Down syndrome', variants: ['trisomy 21', 'ダウン症候群'], mesh: 'D004314' },
+  { id: 'spina-bifida', ja: '二分脊椎', reading: 'にぶんせきつい', en: 'spina bifida', variants: ['myelomeningocele'], mesh: 'D016135' },
+  { id: 'dcd', ja: '発達性協調運動障害', en: 'developmental coordination disorder', abbr: ['DCD'], mesh: 'D019957' },
+
+  // リハビリ・専門職
+  { id: 'rehabilitation', ja: 'リハビリテーション', en: 'rehabilitation', variants: ['リハ', 'リハビリ', 'rehab'], mesh: 'D012046' },
+  { id: 'physical-therapy', ja: '理学療法', en: 'physical therapy', abbr: ['PT'], variants: ['physiotherapy'], mesh: 'D026741' },
+  { id: 'occupational-therapy', ja: '作業療法', en: 'occupational therapy', abbr: ['OT'], mesh: 'D009788' },
+  { id: 'speech-therapy', ja: '言語聴覚療法', en: 'speech therapy', abbr: ['ST', 'SLT', 'SLP'], variants: ['言語療法', '言語聴覚', 'speech-language therapy'], mesh: 'D013067' },
+  { id: 'vocational-rehabilitation', ja: '職業リハ', en: 'vocational rehabilitation', variants: ['復職', '就労支援', 'return to work'], mesh: 'D012049' },
+  { id: 'telerehabilitation', ja: '遠隔リハ', en: 'telerehabilitation', variants: ['テレリハ', 'telehealth', 'tele-rehab'] },
+  { id: 'early-mobilization', ja: '早期離床', en: 'early mobilization', variants: ['早期リハ', 'early mobilisation'], mesh: 'D004311' },
+  { id: 'multidisciplinary', ja: '多職種', en: 'multidisciplinary', variants: ['多職種連携', 'interdisciplinary'] },
+  { id: 'self-management', ja: '自己管理', en: 'self-management', variants: ['セルフマネジメント'] },
+  { id: 'patient-education', ja: '患者教育', en: 'patient education', mesh: 'D010353' },
+  { id: 'cga', ja: '高齢者総合機能評価', en: 'comprehensive geriatric assessment', abbr: ['CGA'], mesh: 'D015577' },
+
+  // 治療・介入
+  { id: 'treatment', ja: '治療', en: 'treatment' },
+  { id: 'prevention', ja: '予防', en: 'prevention' },
+  { id: 'exercise-therapy', ja: '運動療法', en: 'exercise therapy', variants: ['運動', 'exercise'], mesh: 'D005081' },
+  { id: 'aerobic-exercise', ja: '有酸素運動', en: 'aerobic exercise', variants: ['aerobic training'], broader: 'exercise-therapy' },
+  { id: 'resistance-training', ja: '筋力トレーニング', en: 'resistance training', variants: ['strength training', 'レジスタンス', 'レジスタンストレーニング'], mesh: 'D055070', broader: 'exercise-therapy' },
+  { id: 'muscle-strength', ja: '筋力', en: 'muscle strength' },
+  { id: 'gait', ja: '歩行', en: 'gait', variants: ['walking', 'ambulation'], mesh: 'D005684' },
+  { id: 'gait-training', ja: '歩行訓練', en: 'gait training', variants: ['歩行練習'], broader: 'gait' },
+  { id: 'balance', ja: 'バランス', en: 'balance', variants: ['平衡', 'postural balance'], mesh: 'D004856' },
+  { id: 'pharmacotherapy', ja: '薬物療法', en: 'pharmacotherapy' },
+  { id: 'surgery', ja: '手術', en: 'surgery' },
+  { id: 'radiation', ja: '放射線', en: 'radiation', variants: ['放射線療法', 'radiotherapy'] },
+  { id: 'chemotherapy', ja: '化学療法', en: 'chemotherapy' },
+  { id: 'physical-modalities', ja: '物理療法', en: 'physical modalities', variants: ['物療'] },
+  { id: 'manual-therapy', ja: '徒手療法', en: 'manual therapy', variants: ['徒手'], mesh: 'D026723' },
+  { id: 'hydrotherapy', ja: '水治療', en: 'hydrotherapy', variants: ['水中運動', 'aquatic therapy'], mesh: 'D006875' },
+  { id: 'electrical-stimulation', ja: '電気刺激', en: 'electrical stimulation', mesh: 'D004599' },
+  { id: 'nmes', ja: '神経筋電気刺激', en: 'neuromuscular electrical stimulation', abbr: ['NMES'], broader: 'electrical-stimulation' },
+  { id: 'fes', ja: '機能的電気刺激', en: 'functional electrical stimulation', abbr: ['FES'], broader: 'electrical-stimulation' },
+  { id: 'tens', ja: '経皮的電気神経刺激', en: 'transcutaneous electrical nerve stimulation', abbr: ['TENS'], variants: ['経皮的電気刺激'], mesh: 'D013786', broader: 'electrical-stimulation' },
+  { id: 'tms', ja: '経頭蓋磁気刺激', en: 'transcranial magnetic stimulation', abbr: ['TMS', 'rTMS'], mesh: 'D050781' },
+  { id: 'tdcs', ja: '経頭蓋直流刺激', en: 'transcranial direct current stimulation', abbr: ['tDCS'], mesh: 'D065908' },
+  { id: 'cimt', ja: 'CI療法', en: 'constraint-induced movement therapy', abbr: ['CIMT'], variants: ['constraint-induced', 'CI therapy'] },
+  { id: 'mirror-therapy', ja: 'ミラーセラピー', en: 'mirror therapy', variants: ['ミラー療法'] },
+  { id: 'virtual-reality', ja: '仮想現実', en: 'virtual reality', abbr: ['VR'] },
+  { id: 'robot', ja: 'ロボット', en: 'robot', variants: ['robotic', 'robot-assisted', 'ロボット支援'], mesh: 'D012371' },
+  { id: 'hal', ja: 'ロボットスーツ', en: 'Hybrid Assistive Limb', abbr: ['HAL'], broader: 'robot' },
+  { id: 'botulinum-toxin', ja: 'ボツリヌス毒素', en: 'botulinum toxin', abbr: ['BTX'], variants: ['botox', 'ボツリヌス', 'ボトックス', 'ボツリヌス療法'], mesh: 'D001905' },
+  { id: 'nsaids', ja: '非ステロイド性抗炎症薬', en: 'non-steroidal anti-inflammatory drugs', abbr: ['NSAIDs'], mesh: 'D000894' },
+  { id: 'cbt', ja: '認知行動療法', en: 'cognitive behavioral therapy', abbr: ['CBT'], variants: ['cognitive behavioural therapy'], mesh: 'D015928' },
+  { id: 'cognitive-rehabilitation', ja: '認知リハ', en: 'cognitive rehabilitation', variants: ['認知リハビリテーション'] },
+  { id: 'tai-chi', ja: '太極拳', en: 'tai chi', variants: ['taichi'], mesh: 'D019572' },
+  { id: 'nutrition', ja: '栄養', en: 'nutrition', variants: ['栄養療法'] },
+  { id: 'wheelchair', ja: '車椅子', en: 'wheelchair', variants: ['車いす'], mesh: 'D014904' },
+  { id: 'orthosis', ja: '装具', en: 'orthosis', variants: ['orthotics'], mesh: 'D009989' },
+  { id: 'prosthesis', ja: '義肢', en: 'prosthesis', variants: ['prosthetics', '義足', '義手'], mesh: 'D001186' },
+  { id: 'driving', ja: '自動車運転', en: 'driving', variants: ['運転', 'fitness to drive'], mesh: 'D001334' },
+  { id: 'upper-limb', ja: '上肢', en: 'upper limb', variants: ['upper extremity'] },
+  { id: 'lower-limb', ja: '下肢', en: 'lower limb', variants: ['lower extremity'] },
+
+  // 評価・アウトカム
+  { id: 'adl', ja: '日常生活動作', en: 'activities of daily living', abbr: ['ADL'], mesh: 'D000203' },
+  { id: 'qol', ja: '生活の質', en: 'quality of life', abbr: ['QOL'], mesh: 'D011788' },
+  { id: 'rom', ja: '関節可動域', en: 'range of motion', abbr: ['ROM'], mesh: 'D016059' },
+  { id: 'fim', ja: '機能的自立度評価', en: 'Functional Independence Measure', abbr: ['FIM'] },
+  { id: 'barthel-index', ja: 'バーセルインデックス', en: 'Barthel Index', abbr: ['BI'] },
+];